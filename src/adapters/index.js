@@ -0,0 +1,25 @@
+import { twitchAdapter } from "./twitch.js";
+
+/**
+ * A site adapter wraps everything that depends on a streaming site's markup:
+ *
+ *   name                       short identifier, e.g. "twitch"
+ *   matches(url)               whether the adapter handles this page
+ *   findPlayers(root)          candidate <video> elements
+ *   getPlayerContainer(video)  element wrapping one player
+ *   getFocusTarget(container)  element that takes focus when the player is clicked
+ *   classifyPage(url)          { type, channel }, type being "channel" for a
+ *                              live player, "vod", "clip", "directory" or "other"
+ *   getChannelSlug(url)        file name friendly channel id
+ *   getStreamTitle(root)       current stream title, or ""
+ *   isAdPlaying(container)     whether the player is showing an ad, true when
+ *                              any of the site's ad indicators is present
+ *   getBadgeMount(container)   element the status badge is appended to
+ *
+ * Lookups take their root explicitly so they can run against fixture pages.
+ */
+const ADAPTERS = [twitchAdapter];
+
+export function getSiteAdapter(url = new URL(location.href)) {
+    return ADAPTERS.find((adapter) => adapter.matches(url)) || null;
+}
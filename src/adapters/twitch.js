@@ -0,0 +1,144 @@
+// Every Twitch selector and URL pattern the extension relies on lives here,
+// so a redesign only has to be fixed in one place. Each lookup takes the root
+// to search in (a document or a player container) instead of reaching for
+// the global document, which lets it run against a saved page from DOMParser
+
+// First path segments that are Twitch pages rather than channel names
+const RESERVED_PATHS = new Set([
+    "bits",
+    "directory",
+    "downloads",
+    "drops",
+    "friends",
+    "inventory",
+    "jobs",
+    "login",
+    "logout",
+    "messages",
+    "p",
+    "payments",
+    "popout",
+    "prime",
+    "search",
+    "settings",
+    "signup",
+    "subscriptions",
+    "turbo",
+    "u",
+    "wallet",
+]);
+
+const SELECTORS = {
+    player: '[data-a-target="video-player"], .video-player',
+    focusTarget: 'div[data-a-target="player-overlay-click-handler"]',
+    streamTitle: '[data-a-target="stream-title"]',
+    // Each of these only shows while an ad plays, and Twitch has shipped
+    // ads that carry some but not all of them
+    adSignals: [
+        '[data-a-target="video-ad-label"]',
+        '[data-a-target="video-ad-countdown"]',
+        '[data-test-selector="ad-banner-default-text"]',
+    ],
+    badgeMount: "div.top-bar",
+};
+
+export const twitchAdapter = {
+    name: "twitch",
+
+    matches(url) {
+        return /(^|\.)twitch\.tv$/.test(url.hostname);
+    },
+
+    // Every video element that may be a player; the caller filters out the
+    // ones that are hidden or too small to be more than a preview
+    findPlayers(root) {
+        return [...root.querySelectorAll("video")];
+    },
+
+    // The element wrapping one player: the video, its overlay, top bar and
+    // ad label. Squad streams and the mini player each have their own
+    getPlayerContainer(video) {
+        return video.closest(SELECTORS.player) || video.parentElement;
+    },
+
+    // The overlay that takes clicks on the video, made focusable so clicking
+    // a player marks it as the one shortcuts apply to
+    getFocusTarget(container) {
+        return container.querySelector(SELECTORS.focusTarget);
+    },
+
+    /**
+     * What kind of page a URL points to, and for which channel:
+     * { type, channel } with type one of "channel" (a live player),
+     * "vod", "clip", "directory" or "other". Raids and channel switches are
+     * plain navigations to another channel URL.
+     */
+    classifyPage(url) {
+        if (url.hostname === "clips.twitch.tv") {
+            return { type: "clip", channel: null };
+        }
+        // Embedded player: player.twitch.tv/?channel=<name> or ?video=<id>
+        if (url.hostname === "player.twitch.tv") {
+            const channel = url.searchParams.get("channel");
+            if (channel) {
+                return { type: "channel", channel: channel.toLowerCase() };
+            }
+            return {
+                type: url.searchParams.has("video") ? "vod" : "other",
+                channel: null,
+            };
+        }
+
+        const [first, second] = url.pathname
+            .split("/")
+            .filter(Boolean)
+            .map((part) => part.toLowerCase());
+
+        if (!first || first === "directory") {
+            return { type: "directory", channel: null };
+        }
+        if (first === "videos") {
+            return { type: "vod", channel: null };
+        }
+        if (first === "moderator" && second) {
+            return { type: "channel", channel: second };
+        }
+        // Embedded chat (/embed/<name>/chat) has no player of its own
+        if (first === "embed") {
+            return { type: "other", channel: second || null };
+        }
+        if (RESERVED_PATHS.has(first)) {
+            return { type: "other", channel: null };
+        }
+        if (second === "clip") {
+            return { type: "clip", channel: first };
+        }
+        if (!second || second === "squad") {
+            return { type: "channel", channel: first };
+        }
+        // The channel's videos, clips, schedule and about tabs
+        return { type: "other", channel: first };
+    },
+
+    // Login name from the URL, safe for file names
+    getChannelSlug(url) {
+        return this.classifyPage(url).channel || "twitch";
+    },
+
+    getStreamTitle(root) {
+        const title = root.querySelector(SELECTORS.streamTitle);
+        return title ? title.textContent.trim() : "";
+    },
+
+    // Any one signal is enough: a missed ad records the ad itself into the
+    // buffer, while a false positive only closes up a few seconds of stream
+    isAdPlaying(container) {
+        return SELECTORS.adSignals.some(
+            (selector) => !!container.querySelector(selector)
+        );
+    },
+
+    getBadgeMount(container) {
+        return container.querySelector(SELECTORS.badgeMount) || container;
+    },
+};
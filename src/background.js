@@ -1,4 +1,215 @@
+import { addClip } from './clip-store.js';
+
+// Length used by the context menu's replay and save entries
+const CONTEXT_MENU_SECONDS = 30;
+
+const CONTEXT_MENU_ITEMS = [
+    { id: 'replay-last', title: `Replay last ${CONTEXT_MENU_SECONDS}s` },
+    { id: 'save-last', title: `Save last ${CONTEXT_MENU_SECONDS}s` },
+    { id: 'mark-moment', title: 'Mark moment' },
+];
 
 chrome.runtime.onInstalled.addListener(() => {
     console.log('Twitch Instant Replay extension installed');
-});
\ No newline at end of file
+
+    // Menus persist across service worker restarts, but are recreated on
+    // install and update
+    chrome.contextMenus.removeAll(() => {
+        for (const item of CONTEXT_MENU_ITEMS) {
+            chrome.contextMenus.create({
+                ...item,
+                contexts: ['page', 'video', 'link'],
+                documentUrlPatterns: ['https://www.twitch.tv/*'],
+            });
+        }
+    });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!tab?.id) return;
+
+    const message = {
+        'replay-last': { type: 'PLAY_REPLAY', seconds: CONTEXT_MENU_SECONDS },
+        'save-last': { type: 'SAVE_LAST', seconds: CONTEXT_MENU_SECONDS },
+        'mark-moment': { type: 'MARK_MOMENT' },
+    }[info.menuItemId];
+    if (!message) return;
+
+    chrome.tabs.sendMessage(tab.id, message).catch(() => {
+        // The page has no content script yet
+    });
+});
+
+// Toolbar badge per tab, from the state the content script reports. The
+// map only avoids redundant updates; it is rebuilt from the next report
+// whenever the service worker restarts
+const tabStates = new Map();
+
+const BADGE_COLORS = {
+    recording: '#9147ff',
+    ad: '#e6a700',
+    starting: '#6b6b75',
+    error: '#e91916',
+};
+
+const BADGE_TITLES = {
+    recording: 'Instant Twitch Replay: buffering',
+    ad: 'Instant Twitch Replay: paused during an ad',
+    starting: 'Instant Twitch Replay: starting',
+    error: 'Instant Twitch Replay: the buffer could not start',
+    idle: 'Instant Twitch Replay',
+};
+
+// Badges fit about four characters, so long disk buffers count minutes
+function badgeText({ status, seconds }) {
+    if (status === 'recording') {
+        return seconds < 1000 ? `${seconds}` : `${Math.floor(seconds / 60)}m`;
+    }
+    return { ad: 'AD', starting: '…', error: '!' }[status] || '';
+}
+
+function updateBadge(tabId, state) {
+    const previous = tabStates.get(tabId);
+    if (previous && JSON.stringify(previous) === JSON.stringify(state)) return;
+    tabStates.set(tabId, state);
+
+    chrome.action.setBadgeText({ tabId, text: badgeText(state) });
+    chrome.action.setTitle({
+        tabId,
+        title: BADGE_TITLES[state.status] || BADGE_TITLES.idle,
+    });
+    if (BADGE_COLORS[state.status]) {
+        chrome.action.setBadgeBackgroundColor({
+            tabId,
+            color: BADGE_COLORS[state.status],
+        });
+    }
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    tabStates.delete(tabId);
+});
+
+// A reload starts a new content script; forget what the old one reported so
+// its first report is always drawn
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading') {
+        tabStates.delete(tabId);
+    }
+});
+
+let offscreenDocument = null;
+
+// The offscreen document outlives service worker restarts, so look for one
+// before creating it
+function ensureOffscreenDocument() {
+    if (!offscreenDocument) {
+        offscreenDocument = chrome.offscreen
+            .hasDocument()
+            .then((exists) => {
+                if (exists) return;
+                return chrome.offscreen.createDocument({
+                    url: 'offscreen.html',
+                    reasons: ['BLOBS'],
+                    justification: 'Create object URLs to download clips from the library',
+                });
+            })
+            .catch((error) => {
+                offscreenDocument = null;
+                throw error;
+            });
+    }
+    return offscreenDocument;
+}
+
+// Service workers have no URL.createObjectURL, so the offscreen document
+// turns the stored clip into a URL the downloads API accepts
+async function downloadClip(clipId, filename) {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ type: 'CLIP_OBJECT_URL', clipId });
+    if (!response?.ok) {
+        throw new Error(response?.error || 'Could not read the clip back');
+    }
+
+    return new Promise((resolve, reject) => {
+        chrome.downloads.download(
+            { url: response.url, filename, saveAs: false, conflictAction: 'uniquify' },
+            (downloadId) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(downloadId);
+                }
+            }
+        );
+    });
+}
+
+// Store the clip in the library and optionally download it as well
+async function saveClip({ blob, filename, clip, download }) {
+    const clipId = await addClip({
+        ...clip,
+        name: filename.split('/').pop().replace(/\.\w+$/, ''),
+        filename,
+        createdAt: Date.now(),
+        size: blob.size,
+        mimeType: blob.type,
+        blob,
+    });
+
+    const downloadId = download ? await downloadClip(clipId, filename) : null;
+    return { clipId, downloadId };
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Clips arrive over a 'save-clip' port as a 'begin' message with the clip's
+// details, base64 'chunk' messages and an 'end' message, which is answered
+// with { ok, clipId, downloadId } or { ok: false, error }. Runtime messages
+// are JSON and capped at 64 MiB, which a full disk buffer easily exceeds
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'save-clip') return;
+
+    let header = null;
+    // Small blobs rather than one growing buffer, so the browser can keep
+    // them out of the service worker's memory
+    const parts = [];
+    port.onMessage.addListener((message) => {
+        if (message.type === 'begin') {
+            header = message;
+        } else if (message.type === 'chunk') {
+            parts.push(new Blob([base64ToBytes(message.data)]));
+        } else if (message.type === 'end') {
+            const blob = new Blob(parts, { type: header.mimeType });
+            saveClip({ ...header, blob })
+                .then((result) => port.postMessage({ ok: true, ...result }))
+                .catch((error) => {
+                    console.error('Failed to save clip:', error);
+                    port.postMessage({ ok: false, error: error.message });
+                });
+        }
+    });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'TAB_STATE' && sender.tab?.id) {
+        updateBadge(sender.tab.id, message.state);
+    }
+});
+
+// Browser-level shortcut: works wherever focus is on the page, the content
+// script decides what to replay
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command !== 'show-replay' || !tab?.id) return;
+
+    chrome.tabs.sendMessage(tab.id, { type: 'PLAY_REPLAY' }).catch(() => {
+        // Not a Twitch tab
+    });
+});
@@ -0,0 +1,138 @@
+import { WebCodecsRingBuffer } from "./ring-buffer.js";
+import { muxReplay } from "./replay-muxer.js";
+
+// Dedicated worker that owns one player's ring buffer: the encoders, the
+// buffered chunks, the disk segments and the muxer all live here so none of
+// it competes with the Twitch player and chat on the page's main thread. The
+// page talks to it through RingBufferProxy (see ring-buffer-proxy.js) with
+// { id, method, args } requests answered by { id, result } or { id, error },
+// and receives a { type: "stats" } message every second
+
+const STATS_INTERVAL = 1000;
+
+let ringBuffer = null;
+let statsInterval = null;
+
+// Snapshots handed to the page, kept here with their chunk data so a trimmed
+// range can be muxed later without copying the footage back and forth
+const snapshots = new Map();
+let nextSnapshotId = 1;
+
+function postStats() {
+    if (!ringBuffer) return;
+    self.postMessage({
+        type: "stats",
+        stats: ringBuffer.getStats(),
+        markers: ringBuffer.getMarkers(),
+        hasDiskData: ringBuffer.hasDiskData(),
+    });
+}
+
+// What the replay window needs from a snapshot: the timing of every chunk,
+// but chunk data only for the keyframes the filmstrip decodes
+function describeSnapshot(id, snapshot) {
+    const strip = ({ timestamp, duration, isKey, lag }) => ({
+        timestamp,
+        duration,
+        isKey,
+        lag,
+    });
+    return {
+        id,
+        videoChunks: snapshot.videoChunks.map((c) =>
+            c.isKey ? { ...strip(c), data: c.data } : strip(c)
+        ),
+        audioChunks: snapshot.audioChunks.map(strip),
+        baseTimestamp: snapshot.baseTimestamp,
+        gaps: snapshot.gaps,
+        format: snapshot.format,
+        videoMeta: snapshot.videoMeta,
+        audioMeta: snapshot.audioMeta,
+    };
+}
+
+const handlers = {
+    async start(bufferArgs, sources) {
+        ringBuffer = new WebCodecsRingBuffer(...bufferArgs);
+        const success = await ringBuffer.start(sources);
+        if (!success) return null;
+
+        statsInterval = setInterval(postStats, STATS_INTERVAL);
+        return {
+            format: ringBuffer.format,
+            stats: ringBuffer.getStats(),
+        };
+    },
+
+    pause() {
+        ringBuffer.pause();
+    },
+
+    resume() {
+        ringBuffer.resume();
+    },
+
+    addMarker() {
+        return ringBuffer.addMarker();
+    },
+
+    dismissMarker(id) {
+        ringBuffer.dismissMarker(id);
+    },
+
+    async exportMarker(id) {
+        const snapshot = ringBuffer.markerSnapshot(id);
+        return snapshot ? muxReplay(snapshot) : null;
+    },
+
+    // Mux a replay and keep its snapshot for later trimmed saves
+    async replay(options) {
+        const snapshot = await ringBuffer.snapshot(options);
+        const blob = snapshot ? await muxReplay(snapshot) : null;
+        if (!blob) return null;
+
+        const id = nextSnapshotId++;
+        snapshots.set(id, snapshot);
+        return { blob, snapshot: describeSnapshot(id, snapshot) };
+    },
+
+    // Mux the buffer to be saved right away; no snapshot is kept
+    async clip(options) {
+        const snapshot = await ringBuffer.snapshot(options);
+        return snapshot ? muxReplay(snapshot) : null;
+    },
+
+    async muxRange(id, range) {
+        const snapshot = snapshots.get(id);
+        if (!snapshot) {
+            throw new Error(`Replay ${id} has been released`);
+        }
+        return muxReplay(snapshot, range);
+    },
+
+    // The replay window closed; its snapshots may hold minutes of footage
+    // read back from disk
+    releaseReplays() {
+        snapshots.clear();
+    },
+
+    async stop() {
+        clearInterval(statsInterval);
+        snapshots.clear();
+        if (ringBuffer) {
+            await ringBuffer.stop();
+            ringBuffer = null;
+        }
+        self.close();
+    },
+};
+
+self.onmessage = async ({ data: { id, method, args } }) => {
+    try {
+        const result = await handlers[method](...args);
+        self.postMessage({ id, result });
+    } catch (e) {
+        console.error(`[ITR] Capture worker ${method} failed:`, e);
+        self.postMessage({ id, error: e.message });
+    }
+};
@@ -0,0 +1,60 @@
+import { promisify, openDatabase } from "./idb.js";
+
+const DB_NAME = "itr-clip-library";
+const DB_VERSION = 1;
+const STORE_NAME = "clips";
+
+// Clips live in the extension's own origin, so this store is shared by the
+// background service worker (which writes) and the library page (which reads,
+// renames and deletes). Content scripts cannot reach it directly.
+//
+// Clip record: { id, name, filename, channel, title, createdAt, duration,
+// size, mimeType, thumbnail, blob }
+
+let dbPromise = null;
+
+function getDatabase() {
+    if (!dbPromise) {
+        dbPromise = openDatabase(DB_NAME, DB_VERSION, STORE_NAME).catch((e) => {
+            dbPromise = null;
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(mode, callback) {
+    const db = await getDatabase();
+    const tx = db.transaction(STORE_NAME, mode);
+    return callback(tx.objectStore(STORE_NAME));
+}
+
+export function addClip(clip) {
+    return withStore("readwrite", (store) => promisify(store.add(clip)));
+}
+
+// All clips, newest first
+export async function listClips() {
+    const clips = await withStore("readonly", (store) =>
+        promisify(store.index("createdAt").getAll())
+    );
+    return clips.reverse();
+}
+
+export function getClip(id) {
+    return withStore("readonly", (store) => promisify(store.get(id)));
+}
+
+export function updateClip(id, changes) {
+    return withStore("readwrite", async (store) => {
+        const clip = await promisify(store.get(id));
+        if (!clip) {
+            throw new Error(`Clip ${id} not found`);
+        }
+        await promisify(store.put({ ...clip, ...changes }));
+    });
+}
+
+export function deleteClip(id) {
+    return withStore("readwrite", (store) => promisify(store.delete(id)));
+}
@@ -0,0 +1,139 @@
+import { CONFIG } from "./config.js";
+import { getSiteAdapter } from "./adapters/index.js";
+
+export function getChannelName() {
+    return getSiteAdapter().getChannelSlug(new URL(location.href));
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function getStreamTitle() {
+    return getSiteAdapter().getStreamTitle(document);
+}
+
+// Give up on the thumbnail rather than hold the save on a clip that won't decode
+const PREVIEW_TIMEOUT = 5000;
+
+// Thumbnail and duration for the clip library, read back from the muxed clip
+function createClipPreview(blob) {
+    return new Promise((resolve) => {
+        const url = URL.createObjectURL(blob);
+        const video = document.createElement("video");
+        video.muted = true;
+        video.preload = "auto";
+
+        let timer;
+        const finish = (preview) => {
+            if (!timer) return;
+            clearTimeout(timer);
+            timer = null;
+            URL.revokeObjectURL(url);
+            video.removeAttribute("src");
+            resolve(preview);
+        };
+
+        video.addEventListener("loadedmetadata", () => {
+            const duration = Number.isFinite(video.duration)
+                ? video.duration
+                : null;
+            video.addEventListener(
+                "seeked",
+                () => {
+                    const canvas = document.createElement("canvas");
+                    canvas.width = 320;
+                    canvas.height =
+                        Math.round(
+                            (320 * video.videoHeight) / video.videoWidth
+                        ) || 180;
+                    canvas
+                        .getContext("2d")
+                        .drawImage(video, 0, 0, canvas.width, canvas.height);
+                    finish({
+                        duration,
+                        thumbnail: canvas.toDataURL("image/jpeg", 0.7),
+                    });
+                },
+                { once: true }
+            );
+            video.currentTime = duration ? Math.min(1, duration / 2) : 0;
+        });
+        video.addEventListener("error", () =>
+            finish({ duration: null, thumbnail: null })
+        );
+
+        timer = setTimeout(
+            () => finish({ duration: null, thumbnail: null }),
+            PREVIEW_TIMEOUT
+        );
+        video.src = url;
+    });
+}
+
+function buildClipFilename(blob) {
+    const stamp = new Date()
+        .toISOString()
+        .replace(/\.\d+Z$/, "")
+        .replace(/[:T]/g, "-");
+    const extension = blob.type === "video/mp4" ? "mp4" : "webm";
+    return `Instant Twitch Replay/${getChannelName()}_${stamp}.${extension}`;
+}
+
+// Size of the pieces a clip is sent to the background in. Each is read and
+// posted on its own, so the page never holds a base64 copy of the whole clip
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Send the clip over a 'save-clip' port (see background.js) and resolve to
+// the background's answer
+async function sendClip(blob, details) {
+    const port = chrome.runtime.connect({ name: "save-clip" });
+    const response = new Promise((resolve, reject) => {
+        port.onMessage.addListener(resolve);
+        port.onDisconnect.addListener(() =>
+            reject(new Error("The background disconnected"))
+        );
+    });
+
+    try {
+        port.postMessage({ type: "begin", mimeType: blob.type, ...details });
+        for (let start = 0; start < blob.size; start += CHUNK_SIZE) {
+            const dataUrl = await blobToDataUrl(
+                blob.slice(start, start + CHUNK_SIZE)
+            );
+            port.postMessage({
+                type: "chunk",
+                data: dataUrl.slice(dataUrl.indexOf(",") + 1),
+            });
+        }
+        port.postMessage({ type: "end" });
+        return await response;
+    } finally {
+        port.disconnect();
+    }
+}
+
+// Hand the clip to the background service worker, which stores it in the
+// clip library and owns the downloads API
+export async function saveClip(blob) {
+    const preview = await createClipPreview(blob);
+    const response = await sendClip(blob, {
+        filename: buildClipFilename(blob),
+        download: CONFIG.downloadClips,
+        clip: {
+            channel: getChannelName(),
+            title: getStreamTitle(),
+            ...preview,
+        },
+    });
+    if (!response?.ok) {
+        throw new Error(response?.error || "Unknown error");
+    }
+    console.log("[ITR] Clip saved:", response.clipId);
+    return response.clipId;
+}
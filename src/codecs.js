@@ -0,0 +1,219 @@
+// Codec names follow mediabunny's naming so they can be handed straight to
+// the packet sources when muxing
+
+// Preferred video codecs, most efficient first
+export const VIDEO_CODEC_PREFERENCE = ["av1", "vp9", "avc", "vp8"];
+
+export const VIDEO_CODEC_LABELS = {
+    av1: "AV1",
+    vp9: "VP9",
+    avc: "H.264",
+    vp8: "VP8",
+};
+
+export const OUTPUT_FORMATS = {
+    webm: {
+        container: "webm",
+        mimeType: "video/webm",
+        videoCodecs: ["av1", "vp9", "vp8"],
+        audioCodecs: ["opus"],
+    },
+    mp4: {
+        container: "mp4",
+        mimeType: "video/mp4",
+        // MP4 is chosen for compatibility, so H.264 is the only automatic
+        // pick; AV1 and VP9 are used when selected explicitly
+        videoCodecs: ["avc", "av1", "vp9"],
+        autoVideoCodecs: ["avc"],
+        audioCodecs: ["aac"],
+    },
+};
+
+const AUDIO_CODEC_STRINGS = {
+    opus: "opus",
+    aac: "mp4a.40.2",
+};
+
+// The AudioContext downmix always delivers 48 kHz stereo
+const PROBE_SAMPLE_RATE = 48000;
+const PROBE_CHANNELS = 2;
+
+// Size class used to pick codec levels: 0 up to 720p, 1 up to 1080p, 2 beyond
+function sizeClass(width, height) {
+    const pixels = width * height;
+    if (pixels <= 1280 * 720) return 0;
+    if (pixels <= 1920 * 1080) return 1;
+    return 2;
+}
+
+// Candidate WebCodecs codec strings for a codec, best first
+function videoCodecStrings(codec, width, height) {
+    const size = sizeClass(width, height);
+    switch (codec) {
+        case "av1": {
+            // Main profile, 8-bit, levels 3.1 / 4.1 / 5.1
+            const level = ["05", "09", "13"][size];
+            return [`av01.0.${level}M.08`];
+        }
+        case "vp9": {
+            // Profile 0, 8-bit, levels 3.1 / 4.1 / 5.1
+            const level = ["31", "41", "51"][size];
+            return [`vp09.00.${level}.08`];
+        }
+        case "avc": {
+            // Levels 3.1 / 4.2 / 5.1. High profile where a hardware encoder
+            // exists, constrained baseline for the software encoder
+            const level = ["1F", "2A", "33"][size];
+            return [
+                `avc1.6400${level}`,
+                `avc1.4D00${level}`,
+                `avc1.42E0${level}`,
+            ];
+        }
+        default:
+            return [codec];
+    }
+}
+
+async function findVideoConfig(
+    codec,
+    { width, height, bitrate },
+    hardwareAcceleration
+) {
+    for (const codecString of videoCodecStrings(codec, width, height)) {
+        const config = {
+            codec: codecString,
+            width,
+            height,
+            bitrate,
+            framerate: 30,
+            hardwareAcceleration,
+        };
+        if (codec === "avc") {
+            // MP4 needs the parameter sets in the decoder config, not in-band
+            config.avc = { format: "avc" };
+        }
+
+        try {
+            const { supported } = await VideoEncoder.isConfigSupported(config);
+            if (supported) return config;
+        } catch (e) {
+            /* unsupported codec string */
+        }
+    }
+    return null;
+}
+
+async function findAudioConfig(codec) {
+    const config = {
+        codec: AUDIO_CODEC_STRINGS[codec],
+        sampleRate: PROBE_SAMPLE_RATE,
+        numberOfChannels: PROBE_CHANNELS,
+        bitrate: 128_000,
+    };
+
+    try {
+        const { supported } = await AudioEncoder.isConfigSupported(config);
+        return supported ? config : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Probe the candidates with hardware encoders first, then in software, in
+// preference order within each pass
+async function pickVideoCodec(candidates, size) {
+    for (const acceleration of ["prefer-hardware", "no-preference"]) {
+        for (const codec of candidates) {
+            const config = await findVideoConfig(codec, size, acceleration);
+            if (config) {
+                return {
+                    videoCodec: codec,
+                    videoConfig: config,
+                    hardware: acceleration === "prefer-hardware",
+                };
+            }
+        }
+    }
+    return null;
+}
+
+async function pickAudioCodec(candidates) {
+    for (const codec of candidates) {
+        const config = await findAudioConfig(codec);
+        if (config) {
+            return { audioCodec: codec, audioConfig: config };
+        }
+    }
+    return null;
+}
+
+async function negotiateContainer(container, preferredCodec, size) {
+    const format = OUTPUT_FORMATS[container];
+    let candidates = format.autoVideoCodecs || format.videoCodecs;
+    if (preferredCodec && preferredCodec !== "auto") {
+        candidates = format.videoCodecs.includes(preferredCodec)
+            ? [preferredCodec]
+            : [];
+    }
+    // Keep the global preference order regardless of the container
+    candidates = VIDEO_CODEC_PREFERENCE.filter((c) => candidates.includes(c));
+
+    const video = await pickVideoCodec(candidates, size);
+    if (!video) return null;
+    const audio = await pickAudioCodec(format.audioCodecs);
+    if (!audio) return null;
+
+    return {
+        container: format.container,
+        mimeType: format.mimeType,
+        ...video,
+        ...audio,
+    };
+}
+
+/**
+ * Resolve the container, codecs and encoder configs for the buffer. The
+ * requested container and codec are tried first; if the browser cannot encode
+ * them the buffer falls back to the best automatic WebM choice and finally to
+ * software VP8, which every WebCodecs implementation supports.
+ */
+export async function negotiateFormat(
+    { outputFormat = "webm", videoCodec = "auto" },
+    size
+) {
+    const attempts = [
+        [outputFormat, videoCodec],
+        ["webm", "auto"],
+    ];
+
+    for (const [index, [container, codec]] of attempts.entries()) {
+        const format = await negotiateContainer(container, codec, size);
+        if (format) {
+            if (index > 0) {
+                console.warn(
+                    `[ITR] ${outputFormat}/${videoCodec} not available, using ${format.container}/${format.videoCodec}`
+                );
+            }
+            return format;
+        }
+    }
+
+    return {
+        container: "webm",
+        mimeType: OUTPUT_FORMATS.webm.mimeType,
+        videoCodec: "vp8",
+        videoConfig: { codec: "vp8", ...size, framerate: 30 },
+        hardware: false,
+        audioCodec: "opus",
+        audioConfig: { codec: "opus", bitrate: 128_000 },
+    };
+}
+
+// Short human readable description such as "AV1 (hardware) / Opus in WebM"
+export function describeFormat(format) {
+    if (!format) return "";
+    const video = VIDEO_CODEC_LABELS[format.videoCodec] || format.videoCodec;
+    const audio = format.audioCodec === "aac" ? "AAC" : "Opus";
+    return `${video} (${format.hardware ? "hardware" : "software"}) / ${audio} in ${format.container === "mp4" ? "MP4" : "WebM"}`;
+}
@@ -0,0 +1,41 @@
+import { DEFAULT_HOTKEYS } from "./hotkeys.js";
+
+// Configuration options
+export const CONFIG = {
+    enableToggle: true,
+    recordingDuration: 30, // seconds of ring buffer
+    shortReplaySeconds: 8, // Length of the replay on the shortReplay hotkey
+    saveLastSeconds: 30, // Length of "Save last N seconds" in the popup
+    numberKeyReplays: true, // Number keys 1-9 replay the lengths below
+    replayLengths: [5, 10, 30], // seconds, in number key order
+    maxBufferMB: 200, // memory budget of the ring buffer, whichever limit is stricter wins
+    diskBuffer: false, // Spill older footage to IndexedDB for long buffers
+    diskBufferMinutes: 10, // Total length of the disk-backed buffer
+    downloadClips: true, // Also download saved clips, besides keeping them in the library
+    markerPadding: 10, // seconds kept on each side of a moment marker
+    markerHoldMinutes: 5, // Markers are released after this long if not exported
+    initDelay: 2000,
+    videoBitrate: null, // bps, null scales the default with the capture resolution
+    captureResolution: "source", // "source", "1080", "720" or "480"
+    outputFormat: "webm", // "webm" or "mp4" (falls back to WebM without H.264/AAC encoders)
+    videoCodec: "auto", // "auto" or one of "av1", "vp9", "avc", "vp8"
+    defaultWrapperWidth: "600px",
+    replayLayout: "window", // "window" = floating window, "takeover" = play over the player, "pip" = Picture-in-Picture window
+    volumeReduction: 0.05,
+    replayVolumeMode: "fixed", // "fixed" = use replayVolume, "stream" = inherit stream volume
+    replayVolume: 1.0, // 0-1, replay playback volume when mode is "fixed"
+    storageKey: "replayUIPositionAndSize", // Key for localStorage
+    useStorage: true, // Save position and size to localStorage
+    autoClose: true, // Close replay UI on video end
+    loopReplay: false, // Start replays with looping on, which keeps the window open
+    roundedCorners: 4, // px
+    showBadge: true, // Show status indicator badge
+    showDiagnostics: false, // Show the capture pipeline stats overlay
+    hotkeys: { ...DEFAULT_HOTKEYS }, // Action -> key binding, see hotkeys.js
+};
+
+// Merge settings into the shared CONFIG object in place so every module that
+// imported it sees the update
+export function updateConfig(partial) {
+    Object.assign(CONFIG, partial);
+}
@@ -1,21 +1,10 @@
-import { WebCodecsRingBuffer } from "./ring-buffer.js";
-
-// Configuration options
-let CONFIG = {
-    enableToggle: true,
-    recordingDuration: 30, // seconds of ring buffer
-    initDelay: 2000,
-    videoBitrate: 2500000,
-    defaultWrapperWidth: "600px",
-    volumeReduction: 0.05,
-    replayVolumeMode: "fixed", // "fixed" = use replayVolume, "stream" = inherit stream volume
-    replayVolume: 1.0, // 0-1, replay playback volume when mode is "fixed"
-    storageKey: "replayUIPositionAndSize", // Key for localStorage
-    useStorage: true, // Save position and size to localStorage
-    autoClose: true, // Close replay UI on video end
-    roundedCorners: 4, // px
-    showBadge: true, // Show status indicator badge
-};
+import { CONFIG, updateConfig } from "./config.js";
+import { ReplayUI } from "./replay-ui.js";
+import { PlayerSession } from "./player-session.js";
+import { getSiteAdapter } from "./adapters/index.js";
+import { watchNavigation } from "./navigation.js";
+import { isTypingTarget } from "./utils.js";
+import { matchesHotkey, numberKeyIndex } from "./hotkeys.js";
 
 // Load config from storage when content script initializes
 chrome.storage.sync.get(["extensionConfig"], function (result) {
@@ -24,265 +13,229 @@ chrome.storage.sync.get(["extensionConfig"], function (result) {
             "[ITR] Loaded configuration from storage:",
             result.extensionConfig
         );
-        CONFIG = { ...CONFIG, ...result.extensionConfig };
+        updateConfig(result.extensionConfig);
     }
 });
 
 // Listen for configuration updates
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === "CONFIG_UPDATE") {
-        CONFIG = { ...CONFIG, ...message.config };
+        updateConfig(message.config);
         // Apply badge visibility change immediately
-        if (message.config.showBadge === false) {
-            removeStatusIndicator();
-        } else if (message.config.showBadge === true) {
-            addStatusIndicator();
+        if (typeof message.config.showBadge === "boolean") {
+            replaySystem?.showBadges(message.config.showBadge);
         }
-    }
-});
-
-function injectStyles() {
-    if (document.getElementById("itr-styles")) {
-        // Styles already injected
-        return;
-    }
-
-    const style = document.createElement("style");
-    style.id = "itr-styles";
-    style.innerHTML = `
-        @keyframes flash {
-            0% { opacity: 1; }
-            50% { opacity: 0.2; }
-            100% { opacity: 1; }
-        }
-
-        #itr-status {
-            display: flex;
-            align-items: center;
-            position: absolute;
-            top: 10px; /* Adjust as needed */
-            left: 10px; /* Adjust as needed */
-            z-index: 1000; /* Ensure it's on top */
-            background-color: rgba(0, 0, 0, 0.5); /* Optional: Background for better visibility */
-            padding: 5px 10px;
-            border-radius: 5px;
-            color: white;
-            font-size: 12px;
-            box-shadow: 0 0 5px rgba(0, 0, 0, 0.5);
-            pointer-events: none;
+        if (typeof message.config.showDiagnostics === "boolean") {
+            replaySystem?.showDiagnostics(message.config.showDiagnostics);
         }
-
-        #itr-red-dot {
-            width: 10px;
-            height: 10px;
-            background-color: red;
-            border-radius: 50%;
-            margin-right: 8px;
-            animation: flash 1s infinite;
+    } else if (message.type === "PLAY_REPLAY") {
+        // Browser-level shortcut relayed by the background worker
+        replaySystem?.playReplay(
+            replaySystem.getTargetSession(),
+            message.seconds
+        );
+    } else if (message.type === "GET_STATE") {
+        sendResponse(
+            replaySystem ? replaySystem.getState() : { initialized: false }
+        );
+    } else if (message.type === "SAVE_LAST") {
+        // Answered once the clip is saved, so the popup can report the result
+        if (!replaySystem) {
+            sendResponse({ ok: false, error: "Not recording" });
+            return;
         }
-    `;
-    document.head.appendChild(style);
-}
-
-function createStatusIndicator() {
-    const statusContainer = document.createElement("div");
-    statusContainer.id = "itr-status"; // Assign an ID for easy reference and removal
-
-    const redDot = document.createElement("div");
-    redDot.id = "itr-red-dot"; // Assign an ID for styling and cleanup
+        replaySystem
+            .saveLast(message.seconds)
+            .then(() => sendResponse({ ok: true }))
+            .catch((e) => sendResponse({ ok: false, error: e.message }));
+        return true;
+    } else if (message.type === "MARK_MOMENT") {
+        // Context menu entry relayed by the background worker
+        replaySystem?.getTargetSession()?.markMoment();
+    } else if (message.type === "RESTART_BUFFER") {
+        replaySystem?.restart();
+        sendResponse({ ok: !!replaySystem });
+    }
+});
 
-    const statusText = document.createElement("span");
-    statusText.id = "itr-status-text";
-    statusText.textContent = "Twitch Instant Recorder Running";
+// Videos smaller than this are previews and thumbnails, not players
+const MIN_PLAYER_WIDTH = 200;
 
-    statusContainer.appendChild(redDot);
-    statusContainer.appendChild(statusText);
+// A session that failed to start is retried after this long at the earliest
+const RETRY_DELAY = 10000;
 
-    return statusContainer;
+function isVisiblePlayer(video) {
+    const rect = video.getBoundingClientRect();
+    return (
+        video.isConnected &&
+        rect.width >= MIN_PLAYER_WIDTH &&
+        rect.height > 0 &&
+        getComputedStyle(video).visibility !== "hidden"
+    );
 }
 
-function addStatusIndicator() {
-    const topBar = document.querySelector("div.top-bar");
-
-    if (!topBar) {
-        console.warn(
-            "[ITR] .click-handler element not found. Cannot add status indicator."
-        );
-        return;
+// Keeps one PlayerSession per visible player and routes shortcuts to the
+// player that has focus, is under the mouse, or failing that, the largest.
+// A ReplaySystem belongs to one channel and is replaced when it changes
+class ReplaySystem {
+    constructor(site, channel) {
+        this.site = site;
+        this.channel = channel;
+        // Off on pages without a live player, where only players that are
+        // already buffering (the mini player) are kept
+        this.acceptNewPlayers = true;
+        this.sessions = new Map(); // video element -> PlayerSession
+        this.failedAt = new WeakMap(); // video element -> time of last failure
+        this.keyHandler = null;
+        this.pointerHandler = null;
+        this.pointer = { x: -1, y: -1 };
+        this.isReplaying = false;
+        // Session whose worker holds the open replay window's snapshots
+        this.replaySession = null;
+        this.replayUI = null;
+        // Whether the last player that tried to start failed, for the badge
+        this.startFailed = false;
     }
 
-    // Inject necessary styles
-    injectStyles();
-
-    // Remove existing status indicator if present
-    const existingStatus = document.getElementById("itr-status");
-    if (existingStatus) {
-        existingStatus.remove();
-    }
+    // Start sessions for new players and drop those whose video is gone
+    scanPlayers() {
+        for (const [video, session] of this.sessions) {
+            if (!video.isConnected) {
+                session.destroy();
+                this.sessions.delete(video);
+            }
+        }
 
-    // Create and append the new status indicator
-    const statusIndicator = createStatusIndicator();
-    topBar.style.position = "relative"; // Ensure the parent is positioned
-    topBar.appendChild(statusIndicator);
+        if (!CONFIG.enableToggle || !this.acceptNewPlayers) return;
 
-    console.log("[ITR] Status indicator added to .click-handler element.");
-}
+        for (const video of this.site.findPlayers(document)) {
+            if (this.sessions.has(video) || !isVisiblePlayer(video)) continue;
+            if (Date.now() - (this.failedAt.get(video) || 0) < RETRY_DELAY) {
+                continue;
+            }
+            this.startSession(video);
+        }
 
-function removeStatusIndicator() {
-    const statusIndicator = document.getElementById("itr-status");
-    if (statusIndicator) {
-        statusIndicator.remove();
-        console.log("[ITR] Status indicator removed.");
+        if (this.sessions.size > 0) {
+            this.setupKeyboardListener();
+        }
     }
-}
 
-function isAdPlaying() {
-    return !!document.querySelector('span[data-a-target="video-ad-label"]');
-}
+    async startSession(video) {
+        const session = new PlayerSession(video, this.site);
+        this.sessions.set(video, session);
 
-async function waitForAdToFinish() {
-    return new Promise((resolve) => {
-        if (!isAdPlaying()) {
-            resolve();
+        const success = await session.initialize();
+        if (success) {
+            console.log("[ITR] Replay buffer started for a player");
+            this.startFailed = false;
             return;
         }
 
-        const observer = new MutationObserver(() => {
-            if (!isAdPlaying()) {
-                observer.disconnect();
-                resolve();
-            }
-        });
-
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-        });
-    });
-}
-
-class ReplaySystem {
-    constructor() {
-        this.ringBuffer = null;
-        this.listenerAdded = false;
-        this.isReplaying = false;
-        this.initializationInProgress = false;
-        this.adCheckInterval = null;
-    }
-
-    async initialize() {
-        if (this.initializationInProgress) {
-            console.log("[ITR] Initialization already in progress");
-            return false;
+        console.info("[ITR] Failed to initialize player session");
+        this.startFailed = !session.destroyed;
+        session.destroy();
+        if (this.sessions.get(video) === session) {
+            this.sessions.delete(video);
+            this.failedAt.set(video, Date.now());
         }
+    }
 
-        this.initializationInProgress = true;
-        console.log("[ITR] Starting initialization with delay...");
+    // The player a shortcut applies to
+    getTargetSession() {
+        const sessions = [...this.sessions.values()].filter((s) => s.running);
+        if (sessions.length <= 1) return sessions[0] || null;
 
-        try {
-            // Wait for the initial delay
-            await new Promise((resolve) =>
-                setTimeout(resolve, CONFIG.initDelay)
-            );
-
-            // Check for and wait for any ads to finish
-            console.log("[ITR] Checking for ads before initialization...");
-            await waitForAdToFinish();
-            console.log("[ITR] No ads playing, proceeding with initialization");
-
-            const videoElement = document.querySelector("video");
-            if (!videoElement) {
-                console.warn("[ITR] No video element found.");
-                return false;
-            }
+        const focused = sessions.find((s) =>
+            s.container.contains(document.activeElement)
+        );
+        if (focused) return focused;
 
-            // Wait until video has enough data to capture
-            if (videoElement.readyState < 3) {
-                console.log(
-                    "[ITR] Video not ready yet, waiting for data..."
-                );
-                await new Promise((resolve) => {
-                    // Check periodically since loadeddata may have already fired
-                    const check = () => {
-                        if (videoElement.readyState >= 3) {
-                            resolve();
-                        } else {
-                            setTimeout(check, 200);
-                        }
-                    };
-                    check();
-                });
-            }
+        const hovered = sessions.find((s) =>
+            s.containsPoint(this.pointer.x, this.pointer.y)
+        );
+        if (hovered) return hovered;
 
-            this.ringBuffer = new WebCodecsRingBuffer(
-                CONFIG.recordingDuration,
-                CONFIG.videoBitrate
-            );
+        return sessions.reduce((a, b) =>
+            b.visibleArea() > a.visibleArea() ? b : a
+        );
+    }
 
-            const success = await this.ringBuffer.start(videoElement);
-            if (!success) {
-                console.warn("[ITR] Failed to start ring buffer");
-                return false;
+    showBadges(visible) {
+        for (const session of this.sessions.values()) {
+            if (session.running) {
+                session.showBadge(visible);
             }
-
-            this.setupAdCheckInterval();
-            this.setupKeyboardListener();
-            return true;
-        } finally {
-            this.initializationInProgress = false;
         }
     }
 
-    setupAdCheckInterval() {
-        if (this.adCheckInterval) {
-            clearInterval(this.adCheckInterval);
-        }
-
-        this.adCheckInterval = setInterval(async () => {
-            if (isAdPlaying()) {
-                console.log("[ITR] Ad detected, pausing ring buffer");
-                this.ringBuffer.pause();
-
-                await waitForAdToFinish();
-
-                console.log("[ITR] Ad finished, resuming ring buffer");
-                this.ringBuffer.resume();
+    showDiagnostics(visible) {
+        for (const session of this.sessions.values()) {
+            if (session.running) {
+                session.showDiagnostics(visible);
             }
-        }, 1000);
+        }
     }
 
+    // Listen on the whole page so the shortcuts keep working after clicking
+    // chat or anywhere else outside the player. The capture phase runs before
+    // Twitch's own handlers, so a rebound key wins over the player shortcut
     setupKeyboardListener() {
-        if (this.listenerAdded) return;
+        if (this.keyHandler) return;
+
+        this.keyHandler = (event) => {
+            if (isTypingTarget(event.target)) return;
+            // The replay window has its own keys, and the arrows and number
+            // keys must reach its video controls
+            if (this.isReplaying || event.target.closest?.(".itr-replay")) {
+                return;
+            }
 
-        const focusElement = document.querySelector(
-            'div[data-a-target="player-overlay-click-handler"]'
-        );
-        if (!focusElement) {
-            console.info("[ITR] Focus element not found");
-            return;
-        }
+            const session = this.getTargetSession();
+            if (!session) return;
+
+            let action = null;
+            if (matchesHotkey(event, CONFIG.hotkeys, "replay")) {
+                action = () => this.playReplay(session);
+            } else if (matchesHotkey(event, CONFIG.hotkeys, "shortReplay")) {
+                action = () =>
+                    this.playReplay(session, CONFIG.shortReplaySeconds);
+            } else if (matchesHotkey(event, CONFIG.hotkeys, "mark")) {
+                action = () => session.markMoment();
+            } else if (CONFIG.numberKeyReplays) {
+                const seconds = CONFIG.replayLengths[numberKeyIndex(event)];
+                if (seconds) {
+                    action = () => this.playReplay(session, seconds);
+                }
+            }
 
-        focusElement.tabIndex = 0;
-        focusElement.addEventListener("keydown", (event) => {
-            if (
-                event.key === "ArrowLeft" &&
-                document.activeElement === focusElement
-            ) {
-                this.playReplay();
+            if (action) {
+                event.preventDefault();
+                event.stopPropagation();
+                action();
             }
-        });
+        };
+        window.addEventListener("keydown", this.keyHandler, true);
 
-        this.listenerAdded = true;
+        // Remember where the mouse is so shortcuts go to the hovered player
+        this.pointerHandler = (event) => {
+            this.pointer = { x: event.clientX, y: event.clientY };
+        };
+        window.addEventListener("mousemove", this.pointerHandler, {
+            passive: true,
+        });
     }
 
-    async playReplay() {
+    // `seconds` limits the replay to the most recent footage; the full buffer
+    // stays one click away in the replay window
+    async playReplay(session, seconds = null) {
         if (this.isReplaying) {
             console.log("[ITR] Replay already in progress");
             return;
         }
 
-        if (!this.ringBuffer || !this.ringBuffer.hasData()) {
+        const ringBuffer = session?.ringBuffer;
+        if (!ringBuffer || !ringBuffer.hasData()) {
             console.warn("[ITR] No replay data available yet");
             return;
         }
@@ -290,568 +243,204 @@ class ReplaySystem {
         console.log("[ITR] Muxing replay from ring buffer...");
         this.isReplaying = true;
 
-        const blob = await this.ringBuffer.getReplayBlob();
-        if (!blob) {
+        let replay = null;
+        try {
+            replay = await session.buildReplay({ seconds });
+        } catch (e) {
+            console.error("[ITR] Capture worker could not mux the replay:", e);
+        }
+        if (!replay) {
             console.warn("[ITR] Failed to create replay blob");
             this.isReplaying = false;
             return;
         }
 
-        const replayUI = new ReplayUI(this.cleanup.bind(this));
-        await replayUI.show(blob);
+        const hasDiskData = ringBuffer.hasDiskData();
+        this.replaySession = session;
+        const replayUI = new ReplayUI(this.cleanup.bind(this), {
+            sourceVideo: session.video,
+            playerContainer: session.container,
+            loadFullBuffer:
+                hasDiskData || seconds
+                    ? () => session.buildReplay({ includeDisk: hasDiskData })
+                    : null,
+            muxRange: (snapshot, range) => session.muxRange(snapshot, range),
+            markers: {
+                list: () => session.ringBuffer?.getMarkers() || [],
+                exportMarker: (id) => session.exportMarker(id),
+                dismiss: (id) => session.ringBuffer?.dismissMarker(id),
+            },
+        });
+        this.replayUI = replayUI;
+        await replayUI.show(replay.blob, replay.snapshot);
     }
 
     cleanup() {
+        this.replayUI = null;
         this.isReplaying = false;
+        this.replaySession?.releaseReplays();
+        this.replaySession = null;
     }
 
-    destroy() {
-        console.log("[ITR] Destroying replay system");
-
-        if (this.adCheckInterval) {
-            clearInterval(this.adCheckInterval);
-            this.adCheckInterval = null;
-        }
-
-        if (this.ringBuffer) {
-            this.ringBuffer.stop();
-            this.ringBuffer = null;
+    // Save the last `seconds` of the target player straight to the clip
+    // library, without opening the replay window
+    async saveLast(seconds) {
+        const session = this.getTargetSession();
+        if (!session) {
+            throw new Error("Not recording");
         }
-
-        this.listenerAdded = false;
-        this.isReplaying = false;
-        this.initializationInProgress = false;
-
-        removeStatusIndicator();
-    }
-}
-
-class ReplayUI {
-    constructor(onCleanup) {
-        this.onCleanup = onCleanup;
-        this.elements = {};
-        this.isDragging = false;
-        this.isResizing = false;
-        this.currentX = 0;
-        this.currentY = 0;
-        this.initialX = 0;
-        this.initialY = 0;
-        this.xOffset = 0;
-        this.yOffset = 0;
-        this.initialWidth = 0;
-        this.initialHeight = 0;
-        this.previousVolume = null;
-        this.previousMuted = null;
+        await session.saveLast(seconds);
     }
 
-    async show(blob) {
-        const url = URL.createObjectURL(blob);
-
-        this.createElements();
-
-        // Load and apply saved position and size
-        this.loadPositionAndSize();
-
-        const originalVideo = document.querySelector("video");
-        if (originalVideo) {
-            this.previousVolume = originalVideo.volume;
-            this.previousMuted = originalVideo.muted;
+    // Start every player's buffer from scratch, e.g. to apply a new capture
+    // resolution or codec without reloading the page. Players that are kept
+    // but no longer accepted, like the mini player, are restarted as well
+    restart() {
+        console.log("[ITR] Restarting replay buffers");
+        const videos = [...this.sessions.keys()];
+        for (const session of this.sessions.values()) {
+            session.destroy();
         }
+        this.sessions.clear();
+        this.failedAt = new WeakMap();
 
-        // Set the replay volume before the source is attached so playback
-        // never starts at the browser default volume
-        this.applyReplayVolume();
-
-        this.setupEventListeners(url);
-        this.setupDragListeners();
-        document.body.appendChild(this.elements.wrapper);
-
-        if (originalVideo) {
-            originalVideo.volume = CONFIG.volumeReduction;
+        for (const video of videos) {
+            if (video.isConnected) {
+                this.startSession(video);
+            }
         }
+        this.scanPlayers();
     }
 
-    applyReplayVolume() {
-        if (CONFIG.replayVolumeMode === "stream") {
-            // Mirror whatever the stream was playing at before it got ducked
-            this.elements.video.volume =
-                this.previousVolume !== null ? this.previousVolume : 1;
-            this.elements.video.muted = this.previousMuted === true;
-        } else {
-            const volume = Number(CONFIG.replayVolume);
-            this.elements.video.volume = Number.isFinite(volume)
-                ? Math.min(1, Math.max(0, volume))
-                : 1;
+    // Summary for the toolbar badge: { status, seconds } with status one of
+    // "recording", "ad", "starting", "error" or "idle"
+    getBadgeState() {
+        const session = this.getTargetSession();
+        if (session) {
+            const stats = session.ringBuffer.getStats();
+            return {
+                status: stats.paused ? "ad" : "recording",
+                seconds: Math.round(stats.seconds),
+            };
         }
+        if (this.sessions.size > 0) return { status: "starting" };
+        return { status: this.startFailed ? "error" : "idle" };
     }
 
-    createElements() {
-        // Create wrapper
-        this.elements.wrapper = document.createElement("div");
-        Object.assign(this.elements.wrapper.style, {
-            position: "fixed",
-            width: CONFIG.defaultWrapperWidth,
-            height: "auto",
-            zIndex: "1000",
-            backgroundColor: "black",
-            cursor: "default",
-            transform: "translate(0px, 0px)",
-            boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
-            borderRadius: `${CONFIG.roundedCorners}px`,
-            overflow: "hidden",
-        });
-
-        // Create drag handle
-        this.elements.dragHandle = document.createElement("div");
-        Object.assign(this.elements.dragHandle.style, {
-            position: "absolute",
-            top: "0",
-            left: "0",
-            right: "0",
-            height: "30px",
-            backgroundColor: "rgba(0, 0, 0, 0)",
-            cursor: "default",
-            zIndex: "1002",
-            transition: "background-color 0.2s ease",
-        });
-
-        // Create resize handle
-        this.elements.resizeHandle = document.createElement("div");
-        Object.assign(this.elements.resizeHandle.style, {
-            position: "absolute",
-            bottom: "0",
-            right: "0",
-            width: "20px",
-            height: "20px",
-            cursor: "nw-resize",
-            zIndex: "1001",
-            opacity: "0",
-            transition: "opacity 0.2s ease",
-            pointerEvents: "auto", // Ensure the div can receive mouse events
-        });
-
-        // Create resize icon
-        const resizeIcon = document.createElementNS(
-            "http://www.w3.org/2000/svg",
-            "svg"
-        );
-        Object.assign(resizeIcon.style, {
-            width: "100%",
-            height: "100%",
-            fill: "white",
-            pointerEvents: "none", // Make the SVG transparent to mouse events
-        });
-        resizeIcon.setAttribute("viewBox", "0 0 10 10");
-        resizeIcon.innerHTML = `
-            <polygon points="9,1 9,9 1,9" fill="rgba(255,255,255,0.5)" pointer-events="none"/>
-        `;
-        this.elements.resizeHandle.appendChild(resizeIcon);
-
-        // Add a class name for easier selection
-        this.elements.resizeHandle.className = "resize-handle";
-
-        // Create video element
-        this.elements.video = document.createElement("video");
-        Object.assign(this.elements.video, {
-            controls: true,
-            autoplay: true,
-            style: "width: 100%; height: auto;",
-        });
-
-        // Create close button
-        this.elements.closeButton = document.createElement("div");
-        Object.assign(this.elements.closeButton.style, {
-            position: "absolute",
-            top: "5px",
-            right: "10px",
-            fontSize: "24px",
-            color: "white",
-            cursor: "pointer",
-            zIndex: "1002",
-            opacity: "0",
-            transition: "opacity 0.2s ease",
-        });
-        this.elements.closeButton.innerHTML = "&times;";
-
-        // Add hover effects
-        this.elements.wrapper.addEventListener("mouseenter", () => {
-            this.elements.dragHandle.style.backgroundColor =
-                "rgba(0, 0, 0, 0.5)";
-            this.elements.dragHandle.style.cursor = "move";
-            this.elements.closeButton.style.opacity = "1";
-            this.elements.resizeHandle.style.opacity = "1";
-        });
-
-        this.elements.wrapper.addEventListener("mouseleave", () => {
-            if (!this.isDragging && !this.isResizing) {
-                this.elements.dragHandle.style.backgroundColor =
-                    "rgba(0, 0, 0, 0)";
-                this.elements.dragHandle.style.cursor = "default";
-                this.elements.closeButton.style.opacity = "0";
-                this.elements.resizeHandle.style.opacity = "0";
-            }
-        });
-
-        this.elements.wrapper.appendChild(this.elements.dragHandle);
-        this.elements.wrapper.appendChild(this.elements.video);
-        this.elements.wrapper.appendChild(this.elements.closeButton);
-        this.elements.wrapper.appendChild(this.elements.resizeHandle);
-
-        this.setupResizeListeners();
-    }
-
-    setupResizeListeners() {
-        const startResize = (e) => {
-            console.log(e);
-            this.isResizing = true;
-            this.initialWidth = this.elements.wrapper.offsetWidth;
-            this.initialHeight = this.elements.wrapper.offsetHeight;
-            this.initialX = e.clientX;
-            this.initialY = e.clientY;
-            // Store the initial position
-            const rect = this.elements.wrapper.getBoundingClientRect();
-            this.initialTop = rect.top;
-            this.initialLeft = rect.left;
+    // State of the player shortcuts currently apply to, for the popup
+    getState() {
+        const session = this.getTargetSession();
+        return {
+            ...(session ? session.getState() : { initialized: false }),
+            players: this.sessions.size,
+            // Sessions that are still waiting for an ad or the initial delay
+            starting: !session && this.sessions.size > 0,
         };
-
-        const stopResize = () => {
-            this.isResizing = false;
-            this.savePositionAndSize();
-            if (!this.elements.wrapper.matches(":hover")) {
-                this.elements.resizeHandle.style.opacity = "0";
-            }
-        };
-
-        const resize = (e) => {
-            if (!this.isResizing) return;
-
-            e.preventDefault();
-
-            const deltaX = e.clientX - this.initialX;
-            const deltaY = e.clientY - this.initialY;
-
-            // Calculate new width while maintaining minimum size
-            const newWidth = Math.max(300, this.initialWidth + deltaX);
-
-            // Set the new width and let height adjust automatically
-            // since we're using 'height: auto' in the wrapper style
-            const viewportWidth = window.innerWidth;
-            const viewportHeight = window.innerHeight;
-
-            // Check if new size would exceed viewport bounds
-            if (this.initialLeft + newWidth <= viewportWidth) {
-                this.elements.wrapper.style.width = `${newWidth}px`;
-            }
-        };
-
-        this.elements.resizeHandle.addEventListener("mousedown", startResize);
-        document.addEventListener("mousemove", resize);
-        document.addEventListener("mouseup", stopResize);
     }
 
-    setupDragListeners() {
-        const dragStart = (e) => {
-            if (e.type === "touchstart") {
-                this.initialX = e.touches[0].clientX - this.xOffset;
-                this.initialY = e.touches[0].clientY - this.yOffset;
-            } else {
-                this.initialX = e.clientX - this.xOffset;
-                this.initialY = e.clientY - this.yOffset;
-            }
-            if (e.target === this.elements.dragHandle) {
-                this.isDragging = true;
-                this.elements.dragHandle.style.backgroundColor =
-                    "rgba(0, 0, 0, 0.7)";
-                // Remove transition during drag
-                this.elements.wrapper.style.transition = "none";
-            }
-        };
-
-        const dragEnd = () => {
-            this.isDragging = false;
-            if (!this.elements.wrapper.matches(":hover")) {
-                this.elements.dragHandle.style.backgroundColor =
-                    "rgba(0, 0, 0, 0)";
-                this.elements.dragHandle.style.cursor = "default";
-            }
-
-            // Add smooth transition for bounce back
-            this.elements.wrapper.style.transition = "transform 0.3s ease-out";
-
-            // Get viewport and element dimensions
-            const viewportWidth = window.innerWidth;
-            const viewportHeight = window.innerHeight;
-            const rect = this.elements.wrapper.getBoundingClientRect();
-
-            // Calculate constrained position
-            let newX = this.currentX;
-            let newY = this.currentY;
-
-            // Constrain to viewport bounds
-            if (rect.left < 0) newX -= rect.left;
-            if (rect.right > viewportWidth) newX -= rect.right - viewportWidth;
-            if (rect.top < 0) newY -= rect.top;
-            if (rect.bottom > viewportHeight)
-                newY -= rect.bottom - viewportHeight;
-
-            // Apply bounce back if needed
-            if (newX !== this.currentX || newY !== this.currentY) {
-                this.currentX = newX;
-                this.currentY = newY;
-                this.xOffset = newX;
-                this.yOffset = newY;
-
-                this.elements.wrapper.style.transform = `translate(${this.currentX}px, ${this.currentY}px)`;
-            }
-
-            this.savePositionAndSize();
-        };
-
-        const drag = (e) => {
-            if (!this.isDragging) return;
-            e.preventDefault();
-
-            if (e.type === "touchmove") {
-                this.currentX = e.touches[0].clientX - this.initialX;
-                this.currentY = e.touches[0].clientY - this.initialY;
-            } else {
-                this.currentX = e.clientX - this.initialX;
-                this.currentY = e.clientY - this.initialY;
-            }
-
-            this.xOffset = this.currentX;
-            this.yOffset = this.currentY;
-
-            this.elements.wrapper.style.transform = `translate(${this.currentX}px, ${this.currentY}px)`;
-        };
-
-        // Mouse events
-        this.elements.dragHandle.addEventListener("mousedown", dragStart);
-        document.addEventListener("mousemove", drag);
-        document.addEventListener("mouseup", dragEnd);
-
-        // Touch events
-        this.elements.dragHandle.addEventListener("touchstart", dragStart);
-        document.addEventListener("touchmove", drag);
-        document.addEventListener("touchend", dragEnd);
-    }
-
-    setupEventListeners(url) {
-        const cleanup = () => this.cleanup(url);
-
-        this.elements.closeButton.addEventListener("click", cleanup);
-        this.elements.video.addEventListener("ended", () => {
-            if (CONFIG.autoClose) {
-                cleanup();
-            }
-        });
-        this.elements.video.addEventListener("error", (e) => {
-            console.error("[ITR] Replay video error:", e);
-            alert("Replay failed due to encoding issues.");
-            cleanup();
-        });
-
-        const escapeHandler = (e) => {
-            if (e.key === "Escape") {
-                cleanup();
-                document.removeEventListener("keydown", escapeHandler);
-            }
-        };
-        document.addEventListener("keydown", escapeHandler);
+    destroy() {
+        console.log("[ITR] Destroying replay system");
 
-        this.elements.video.src = url;
-    }
+        // Close an open replay window so it hands the player back as it was
+        this.replayUI?.cleanup();
 
-    loadPositionAndSize() {
-        const saved = localStorage.getItem(CONFIG.storageKey);
-        if (saved && CONFIG.useStorage) {
-            try {
-                const { x, y, width } = JSON.parse(saved);
-                this.currentX = x;
-                this.currentY = y;
-                this.xOffset = x;
-                this.yOffset = y;
-                this.elements.wrapper.style.transform = `translate(${x}px, ${y}px)`;
-                this.elements.wrapper.style.width = width;
-            } catch (e) {
-                console.error(
-                    "[ITR] Failed to parse saved position and size:",
-                    e
-                );
-            }
-        } else {
-            // If no saved position, set default position (10px from bottom-right)
-            setTimeout(() => {
-                const wrapper = this.elements.wrapper;
-                const rect = wrapper.getBoundingClientRect();
-                const top = window.innerHeight - rect.height - 10; // 10px from bottom
-                const left =
-                    window.innerWidth -
-                    parseInt(CONFIG.defaultWrapperWidth) -
-                    10; // 10px from right
-                this.currentX = left;
-                this.currentY = top;
-                this.xOffset = left;
-                this.yOffset = top;
-                this.elements.wrapper.style.transform = `translate(${left}px, ${top}px)`;
-            }, 50);
+        for (const session of this.sessions.values()) {
+            session.destroy();
         }
-    }
-
-    savePositionAndSize() {
-        if (!CONFIG.useStorage) return;
-        const transform = this.elements.wrapper.style.transform;
-        let x = this.currentX;
-        let y = this.currentY;
-        // Optionally, parse the transform string if needed
-        // Here, we're using currentX and currentY directly
-
-        const width =
-            this.elements.wrapper.style.width || CONFIG.defaultWrapperWidth;
-        const data = { x, y, width };
-        localStorage.setItem(CONFIG.storageKey, JSON.stringify(data));
-        console.log("[ITR] Saved Replay UI position and size:", data);
-    }
+        this.sessions.clear();
 
-    cleanup(url) {
-        // Remove event listeners
-        document.removeEventListener("mousemove", this.drag);
-        document.removeEventListener("mouseup", this.dragEnd);
-        document.removeEventListener("touchmove", this.drag);
-        document.removeEventListener("touchend", this.dragEnd);
-
-        document.body.removeChild(this.elements.wrapper);
-        URL.revokeObjectURL(url);
-
-        const originalVideo = document.querySelector("video");
-        if (originalVideo && this.previousVolume !== null) {
-            originalVideo.volume = this.previousVolume;
+        if (this.keyHandler) {
+            window.removeEventListener("keydown", this.keyHandler, true);
+            this.keyHandler = null;
         }
-
-        this.onCleanup();
-    }
-}
-
-let currentStreamerName = null;
-let systemInitialized = false;
-let replaySystem = null;
-
-// Observe the document for a changed tw-title element
-const videoObserver = new MutationObserver(async () => {
-    const newTitle = document.querySelector("h1.tw-title").textContent;
-    if (newTitle && currentStreamerName && newTitle !== currentStreamerName) {
-        console.log(
-            "[ITR] Streamer name changed to:",
-            newTitle,
-            "from previous:",
-            currentStreamerName
-        );
-
-        // destroy existing replay system
-        if (replaySystem) {
-            await replaySystem.destroy();
-            replaySystem = null;
-            systemInitialized = false;
+        if (this.pointerHandler) {
+            window.removeEventListener("mousemove", this.pointerHandler);
+            this.pointerHandler = null;
         }
 
-        currentStreamerName = newTitle;
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-        });
-        videoObserver.disconnect();
+        this.isReplaying = false;
+        this.replaySession = null;
     }
-});
-
-// Debounce utility function
-function debounce(func, wait) {
-    let timeout;
-    return function (...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func.apply(this, args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
 }
 
-// Function to initialize or refresh your extension's logic
-async function checkAndInitialize(videoElement, obs) {
-    if (!CONFIG.enableToggle) {
-        console.log("[ITR] Instant Replay is disabled in the configuration.");
-        return;
-    }
-    if (systemInitialized) {
-        return;
-    }
-
-    console.log("[ITR] Found required elements, preparing to initialize...");
-
-    if (videoElement.readyState >= 3) {
-        // HAVE_FUTURE_DATA
-        console.log("[ITR] Video is ready, initializing replay system...");
+const site = getSiteAdapter();
+let replaySystem = null;
 
-        if (!replaySystem) {
-            replaySystem = new ReplaySystem();
-        }
-        const success = await replaySystem.initialize();
-        if (success) {
-            console.log("[ITR] Replay system initialized successfully");
+// Buffer only on live channel pages and rebuild exactly once per channel
+// switch, raids included. Leaving for a directory page keeps the buffer only
+// while its player is still around as the mini player
+function handleNavigation(url) {
+    const page = site.classifyPage(url);
 
-            if (CONFIG.showBadge) {
-                addStatusIndicator();
-            }
-            currentStreamerName =
-                document.querySelector("h1.tw-title").textContent;
-
-            obs.disconnect();
-            videoElement.removeEventListener(
-                "canplay",
-                debouncedCheckAndInitialize
-            );
-            systemInitialized = true; // Set flag after successful initialization
-
-            videoObserver.observe(document.body, {
-                childList: true,
-                subtree: true,
-            });
+    if (page.type === "channel") {
+        if (replaySystem?.channel === page.channel) {
+            replaySystem.acceptNewPlayers = true;
         } else {
-            console.info("[ITR] Failed to initialize replay system");
+            console.log("[ITR] Channel changed to:", page.channel);
+            replaySystem?.destroy();
+            replaySystem = new ReplaySystem(site, page.channel);
+        }
+    } else if (replaySystem) {
+        replaySystem.acceptNewPlayers = false;
+        // VODs and clips replace the player with a recording
+        if (page.type === "vod" || page.type === "clip") {
+            stopReplaySystem();
         }
     }
+    scheduleScan();
 }
 
-const debouncedCheckAndInitialize = debounce(checkAndInitialize, 300); // 300ms debounce delay
-
-// Function to handle initialization
-function handleInitialization(obs) {
-    const videoElement = document.querySelector("video");
-    const focusElement = document.querySelector(
-        'div[data-a-target="player-overlay-click-handler"]'
-    );
-
-    if (videoElement && focusElement) {
-        // Attach debounced event listener
-        videoElement.addEventListener("canplay", () =>
-            debouncedCheckAndInitialize(videoElement, obs)
-        );
-        // Also try immediately in case video is already ready
-        debouncedCheckAndInitialize(videoElement, obs);
-    }
+function stopReplaySystem() {
+    console.log("[ITR] No live player on this page, stopping the buffer");
+    replaySystem.destroy();
+    replaySystem = null;
 }
 
-// Setup MutationObserver
-const observer = new MutationObserver((mutations, obs) => {
-    if (systemInitialized) {
-        return;
-    }
-
-    handleInitialization(obs);
-});
+// Chat alone mutates the page many times a second, so scans are throttled
+// rather than debounced, which would keep postponing them
+let scanScheduled = false;
+function scheduleScan() {
+    if (scanScheduled) return;
+    scanScheduled = true;
+    setTimeout(() => {
+        scanScheduled = false;
+        if (!replaySystem) return;
+
+        replaySystem.scanPlayers();
+        if (
+            !replaySystem.acceptNewPlayers &&
+            replaySystem.sessions.size === 0
+        ) {
+            stopReplaySystem();
+        }
+    }, 500);
+}
 
-// Start observing the document body for changes
+// Players come and go with squad streams and the mini player; resizing can
+// also bring a hidden player into view
+const observer = new MutationObserver(scheduleScan);
 observer.observe(document.body, {
     childList: true,
     subtree: true,
 });
+window.addEventListener("resize", scheduleScan);
+
+// Keep the toolbar badge in sync. Only changes are sent, so once the buffer
+// is full the service worker is left alone
+let reportedState = "";
+function reportTabState() {
+    const state = replaySystem
+        ? replaySystem.getBadgeState()
+        : { status: "idle" };
+    const serialized = JSON.stringify(state);
+    if (serialized === reportedState) return;
+
+    reportedState = serialized;
+    chrome.runtime.sendMessage({ type: "TAB_STATE", state }).catch(() => {
+        // The extension was reloaded; this content script is orphaned
+    });
+}
+setInterval(reportTabState, 1000);
+
+watchNavigation(handleNavigation);
+handleNavigation(new URL(location.href));
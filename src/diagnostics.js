@@ -0,0 +1,98 @@
+import { formatBytes } from "./utils.js";
+
+/**
+ * Rows of [label, value] describing the capture pipeline from the ring
+ * buffer's stats, shared by the in-player overlay and the popup.
+ */
+export function describeDiagnostics(stats) {
+    const pipeline = stats.pipeline;
+    if (!pipeline) return [];
+
+    const rate = (value) => value.toFixed(1);
+    const rows = [
+        [
+            "Encoder queue",
+            `${pipeline.videoQueue} video · ${pipeline.audioQueue} audio`,
+        ],
+        [
+            "Frames/s",
+            `${rate(pipeline.encodedPerSecond)} encoded · ${rate(
+                pipeline.droppedPerSecond
+            )} dropped`,
+        ],
+        [
+            "Keyframes",
+            pipeline.keyframeInterval
+                ? `every ${pipeline.keyframeInterval.toFixed(1)}s`
+                : "–",
+        ],
+        [
+            "Buffer",
+            `${Math.round(stats.seconds)}s · ${formatBytes(stats.bytes)}`,
+        ],
+        ["Video", `${pipeline.width}x${pipeline.height}`],
+        [
+            "Audio",
+            pipeline.sampleRate
+                ? `${pipeline.sampleRate} Hz · ${pipeline.numberOfChannels} ch`
+                : "none",
+        ],
+        ["State", stats.paused ? "Paused for ad" : "Recording"],
+    ];
+    if (pipeline.sampleRate) {
+        const offset = stats.syncOffsetMs;
+        rows.push(["A/V offset", `${offset > 0 ? "+" : ""}${offset} ms`]);
+    }
+    return rows;
+}
+
+// Stats overlay in the top right corner of a player, toggled from the popup
+export function addDiagnosticsOverlay(mount) {
+    if (!mount) return null;
+
+    const overlay = document.createElement("div");
+    overlay.className = "itr-diagnostics";
+    Object.assign(overlay.style, {
+        position: "absolute",
+        top: "10px",
+        right: "10px",
+        zIndex: "1000",
+        display: "grid",
+        gridTemplateColumns: "auto auto",
+        columnGap: "10px",
+        padding: "6px 8px",
+        backgroundColor: "rgba(0, 0, 0, 0.7)",
+        borderRadius: "5px",
+        color: "white",
+        fontFamily: "monospace",
+        fontSize: "11px",
+        lineHeight: "1.4",
+        pointerEvents: "none",
+    });
+
+    // Leave Twitch's own positioning alone if the player already has one
+    if (getComputedStyle(mount).position === "static") {
+        mount.style.position = "relative";
+    }
+    mount.appendChild(overlay);
+    return overlay;
+}
+
+export function updateDiagnosticsOverlay(overlay, stats) {
+    if (!overlay) return;
+
+    overlay.replaceChildren(
+        ...describeDiagnostics(stats).flatMap(([label, value]) => {
+            const labelCell = document.createElement("span");
+            labelCell.style.opacity = "0.7";
+            labelCell.textContent = label;
+            const valueCell = document.createElement("span");
+            valueCell.textContent = value;
+            return [labelCell, valueCell];
+        })
+    );
+}
+
+export function removeDiagnosticsOverlay(overlay) {
+    overlay?.remove();
+}
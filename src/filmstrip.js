@@ -0,0 +1,260 @@
+import { formatTime } from "./utils.js";
+
+const STRIP_HEIGHT = 40;
+const PREVIEW_WIDTH = 160;
+
+// A long disk buffer holds hundreds of keyframes; an even sample is plenty
+// for a strip a few hundred pixels wide
+const MAX_THUMBNAILS = 60;
+
+/**
+ * Decode a sample of the snapshot's keyframes into small bitmaps. Keyframes
+ * decode on their own, so nothing else in the buffer has to be touched.
+ * Resolves to [{ time, bitmap }] sorted by time in seconds into the replay.
+ */
+export async function decodeKeyframes(snapshot, maxCount = MAX_THUMBNAILS) {
+    const config = snapshot.videoMeta?.decoderConfig;
+    if (!config || typeof VideoDecoder === "undefined") return [];
+
+    const keyframes = snapshot.videoChunks.filter((c) => c.isKey);
+    const step = Math.max(1, keyframes.length / maxCount);
+    const picked = [];
+    for (let i = 0; i < keyframes.length; i += step) {
+        picked.push(keyframes[Math.floor(i)]);
+    }
+
+    const pending = [];
+    const decoder = new VideoDecoder({
+        output: (frame) => {
+            const height = Math.round(
+                (PREVIEW_WIDTH * frame.displayHeight) / frame.displayWidth
+            );
+            const time = (frame.timestamp - snapshot.baseTimestamp) / 1_000_000;
+            pending.push(
+                createImageBitmap(frame, {
+                    resizeWidth: PREVIEW_WIDTH,
+                    resizeHeight: height,
+                    resizeQuality: "medium",
+                })
+                    .then((bitmap) => ({ time, bitmap }))
+                    .finally(() => frame.close())
+            );
+        },
+        error: (e) => console.error("[ITR] Filmstrip decoder error:", e),
+    });
+
+    try {
+        decoder.configure(config);
+        for (const chunk of picked) {
+            decoder.decode(
+                new EncodedVideoChunk({
+                    type: "key",
+                    timestamp: chunk.timestamp,
+                    data: chunk.data,
+                })
+            );
+        }
+        await decoder.flush();
+    } finally {
+        if (decoder.state !== "closed") {
+            decoder.close();
+        }
+    }
+
+    const thumbnails = await Promise.all(pending);
+    return thumbnails.sort((a, b) => a.time - b.time);
+}
+
+// Strip of keyframe thumbnails under the replay video. Hovering shows the
+// frame nearest the cursor, clicking seeks there
+export class Filmstrip {
+    constructor(video, snapshot, duration) {
+        this.video = video;
+        this.snapshot = snapshot;
+        this.duration = duration;
+        this.thumbnails = [];
+        this.elements = {};
+        this.destroyed = false;
+
+        this.draw = this.draw.bind(this);
+
+        this.createElements();
+        this.resizeObserver = new ResizeObserver(this.draw);
+        this.resizeObserver.observe(this.elements.container);
+        this.load();
+    }
+
+    createElements() {
+        this.elements.container = document.createElement("div");
+        Object.assign(this.elements.container.style, {
+            position: "relative",
+            height: `${STRIP_HEIGHT}px`,
+            backgroundColor: "#0e0e10",
+            cursor: "pointer",
+        });
+
+        this.elements.canvas = document.createElement("canvas");
+        Object.assign(this.elements.canvas.style, {
+            display: "block",
+            width: "100%",
+            height: "100%",
+        });
+
+        this.elements.cursor = document.createElement("div");
+        Object.assign(this.elements.cursor.style, {
+            position: "absolute",
+            top: "0",
+            bottom: "0",
+            width: "2px",
+            marginLeft: "-1px",
+            backgroundColor: "white",
+            pointerEvents: "none",
+            display: "none",
+        });
+
+        // Hover preview, floating over the bottom of the video
+        this.elements.preview = document.createElement("div");
+        Object.assign(this.elements.preview.style, {
+            position: "absolute",
+            bottom: `${STRIP_HEIGHT + 6}px`,
+            padding: "2px",
+            backgroundColor: "#18181b",
+            border: "1px solid rgba(255, 255, 255, 0.3)",
+            borderRadius: "4px",
+            pointerEvents: "none",
+            display: "none",
+        });
+
+        this.elements.previewCanvas = document.createElement("canvas");
+        this.elements.previewCanvas.style.display = "block";
+
+        this.elements.previewLabel = document.createElement("div");
+        Object.assign(this.elements.previewLabel.style, {
+            padding: "2px 0 0 0",
+            color: "white",
+            fontSize: "11px",
+            textAlign: "center",
+            fontVariantNumeric: "tabular-nums",
+        });
+
+        this.elements.preview.appendChild(this.elements.previewCanvas);
+        this.elements.preview.appendChild(this.elements.previewLabel);
+        this.elements.container.appendChild(this.elements.canvas);
+        this.elements.container.appendChild(this.elements.cursor);
+        this.elements.container.appendChild(this.elements.preview);
+
+        this.elements.container.addEventListener("mousemove", (e) =>
+            this.showPreview(this.timeFromEvent(e))
+        );
+        this.elements.container.addEventListener("mouseleave", () =>
+            this.hidePreview()
+        );
+        this.elements.container.addEventListener("click", (e) => {
+            this.video.currentTime = this.timeFromEvent(e);
+        });
+    }
+
+    get element() {
+        return this.elements.container;
+    }
+
+    async load() {
+        try {
+            const thumbnails = await decodeKeyframes(this.snapshot);
+            if (this.destroyed) {
+                thumbnails.forEach((t) => t.bitmap.close());
+                return;
+            }
+            this.thumbnails = thumbnails;
+        } catch (e) {
+            console.warn("[ITR] Could not build the filmstrip:", e);
+        }
+
+        if (this.thumbnails.length === 0) {
+            this.elements.container.style.display = "none";
+            return;
+        }
+        this.draw();
+    }
+
+    timeFromEvent(e) {
+        const rect = this.elements.container.getBoundingClientRect();
+        const fraction = Math.min(
+            1,
+            Math.max(0, (e.clientX - rect.left) / rect.width)
+        );
+        return fraction * this.duration;
+    }
+
+    // Latest thumbnail at or before `seconds`
+    thumbnailAt(seconds) {
+        let found = this.thumbnails[0];
+        for (const thumbnail of this.thumbnails) {
+            if (thumbnail.time > seconds) break;
+            found = thumbnail;
+        }
+        return found;
+    }
+
+    // Tile the strip with as many thumbnails as fit at the strip's height,
+    // each showing the keyframe at the start of its slot
+    draw() {
+        const canvas = this.elements.canvas;
+        const scale = window.devicePixelRatio || 1;
+        canvas.width = Math.round(canvas.clientWidth * scale);
+        canvas.height = Math.round(STRIP_HEIGHT * scale);
+        if (this.thumbnails.length === 0 || canvas.width === 0) return;
+
+        const ctx = canvas.getContext("2d");
+        const { bitmap } = this.thumbnails[0];
+        const slotWidth = (canvas.height * bitmap.width) / bitmap.height;
+        const slots = Math.ceil(canvas.width / slotWidth);
+
+        for (let i = 0; i < slots; i++) {
+            const x = i * slotWidth;
+            const time = (x / canvas.width) * this.duration;
+            ctx.drawImage(
+                this.thumbnailAt(time).bitmap,
+                x,
+                0,
+                slotWidth,
+                canvas.height
+            );
+        }
+    }
+
+    showPreview(seconds) {
+        if (this.thumbnails.length === 0) return;
+
+        const { bitmap } = this.thumbnailAt(seconds);
+        const canvas = this.elements.previewCanvas;
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext("2d").drawImage(bitmap, 0, 0);
+        this.elements.previewLabel.textContent = formatTime(seconds);
+
+        // Keep the preview inside the strip's bounds
+        const width = this.elements.container.clientWidth;
+        const x = (seconds / this.duration) * width;
+        const left = Math.min(
+            Math.max(0, x - bitmap.width / 2 - 2),
+            width - bitmap.width - 6
+        );
+        this.elements.preview.style.left = `${left}px`;
+        this.elements.preview.style.display = "";
+        this.elements.cursor.style.left = `${x}px`;
+        this.elements.cursor.style.display = "";
+    }
+
+    hidePreview() {
+        this.elements.preview.style.display = "none";
+        this.elements.cursor.style.display = "none";
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.resizeObserver.disconnect();
+        this.thumbnails.forEach((t) => t.bitmap.close());
+        this.thumbnails = [];
+    }
+}
@@ -0,0 +1,90 @@
+// Target heights for the capture resolution presets offered in the popup
+export const CAPTURE_RESOLUTIONS = {
+    1080: 1080,
+    720: 720,
+    480: 480,
+};
+
+// Roughly 0.1 bits per pixel at 30 fps: ~6.2 Mbps at 1080p, ~2.8 Mbps at 720p
+const BITS_PER_PIXEL = 0.1;
+
+// Encoded size for a preset. The preset is a ceiling: never upscales and
+// keeps the source aspect ratio; encoders require even dimensions. Returns
+// null until the player knows its size
+export function getCaptureSize(sourceWidth, sourceHeight, preset) {
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const targetHeight = Math.min(
+        sourceHeight,
+        CAPTURE_RESOLUTIONS[preset] || sourceHeight
+    );
+    if (sourceHeight === targetHeight) {
+        return { width: sourceWidth, height: sourceHeight };
+    }
+
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    return {
+        width: even((sourceWidth * targetHeight) / sourceHeight),
+        height: even(targetHeight),
+    };
+}
+
+export function getDefaultBitrate(width, height) {
+    const bitrate = width * height * 30 * BITS_PER_PIXEL;
+    return Math.round(bitrate / 100_000) * 100_000;
+}
+
+// Scales frames to a fixed size on an OffscreenCanvas before they reach the
+// encoder. Frames of another aspect ratio, e.g. after the stream switched
+// quality, are fitted inside with black bars instead of being stretched
+export class FrameScaler {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.canvas = new OffscreenCanvas(width, height);
+        this.context = this.canvas.getContext("2d", { alpha: false });
+        // Source size the placement below was computed for
+        this.frameWidth = 0;
+        this.frameHeight = 0;
+        this.placement = null;
+    }
+
+    // Returns a new frame; the caller still owns and must close the input
+    scale(frame) {
+        if (
+            frame.displayWidth !== this.frameWidth ||
+            frame.displayHeight !== this.frameHeight
+        ) {
+            this.fit(frame.displayWidth, frame.displayHeight);
+        }
+
+        const { x, y, width, height } = this.placement;
+        this.context.drawImage(frame, x, y, width, height);
+        return new VideoFrame(this.canvas, {
+            timestamp: frame.timestamp,
+            duration: frame.duration ?? undefined,
+        });
+    }
+
+    // Largest rectangle with the source's aspect ratio that fits the output,
+    // centred. The bars are painted once; later frames only cover the middle
+    fit(frameWidth, frameHeight) {
+        const ratio = Math.min(
+            this.width / frameWidth,
+            this.height / frameHeight
+        );
+        const width = Math.round(frameWidth * ratio);
+        const height = Math.round(frameHeight * ratio);
+        this.placement = {
+            x: Math.round((this.width - width) / 2),
+            y: Math.round((this.height - height) / 2),
+            width,
+            height,
+        };
+        this.frameWidth = frameWidth;
+        this.frameHeight = frameHeight;
+
+        this.context.fillStyle = "black";
+        this.context.fillRect(0, 0, this.width, this.height);
+    }
+}
@@ -0,0 +1,116 @@
+// Bindings are stored as strings such as "ArrowLeft", "s" or "Alt+Shift+r":
+// modifiers in a fixed order followed by the key, single characters lowercased
+
+export const DEFAULT_HOTKEYS = {
+    replay: "ArrowLeft",
+    shortReplay: "Shift+ArrowLeft",
+    close: "Escape",
+    save: "s",
+    mark: "b",
+};
+
+export const HOTKEY_LABELS = {
+    replay: "Show replay",
+    shortReplay: "Show short replay",
+    close: "Close replay",
+    save: "Save clip",
+    mark: "Mark moment",
+};
+
+// Shortcuts the Twitch player already reacts to
+export const TWITCH_SHORTCUTS = {
+    Space: "play/pause",
+    k: "play/pause",
+    m: "mute",
+    f: "fullscreen",
+    "Alt+t": "theatre mode",
+    "Alt+x": "create clip",
+    ArrowUp: "volume up",
+    ArrowDown: "volume down",
+};
+
+const MODIFIERS = ["Ctrl", "Alt", "Shift", "Meta"];
+const KEY_NAMES = {
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    Escape: "Esc",
+};
+
+// Binding string for a keydown event, or null for a lone modifier press
+export function bindingFromEvent(event) {
+    if (["Control", "Alt", "Shift", "Meta"].includes(event.key)) return null;
+
+    // "+" separates the parts of a binding, so it needs a name of its own
+    let key = { " ": "Space", "+": "Plus" }[event.key] || event.key;
+    if (key.length === 1) key = key.toLowerCase();
+
+    const pressed = [
+        event.ctrlKey,
+        event.altKey,
+        event.shiftKey,
+        event.metaKey,
+    ];
+    const modifiers = MODIFIERS.filter((_, i) => pressed[i]);
+    return [...modifiers, key].join("+");
+}
+
+// Bindings missing from the stored config fall back to the defaults
+export function getHotkeys(stored) {
+    return { ...DEFAULT_HOTKEYS, ...stored };
+}
+
+export function matchesHotkey(event, hotkeys, action) {
+    return bindingFromEvent(event) === getHotkeys(hotkeys)[action];
+}
+
+// Number keys 1-9 replay the matching entry of a list of lengths
+export function numberKeyIndex(event) {
+    if (event.ctrlKey || event.altKey || event.shiftKey || event.metaKey) {
+        return -1;
+    }
+    return /^[1-9]$/.test(event.key) ? Number(event.key) - 1 : -1;
+}
+
+// Display form, e.g. "Alt+Shift+R" or "←"
+export function formatBinding(binding) {
+    if (!binding) return "";
+    return binding
+        .split("+")
+        .map(
+            (part) =>
+                KEY_NAMES[part] ||
+                (part.length === 1 ? part.toUpperCase() : part)
+        )
+        .join("+");
+}
+
+/**
+ * Describe every binding that collides with another action, with the number
+ * key replays (`replayLengths`, empty when they are off) or with one of
+ * Twitch's own player shortcuts. Returns a map of action to message.
+ */
+export function findConflicts(hotkeys, replayLengths = []) {
+    const bindings = getHotkeys(hotkeys);
+    const conflicts = {};
+
+    for (const [action, binding] of Object.entries(bindings)) {
+        const other = Object.keys(bindings).find(
+            (a) => a !== action && bindings[a] === binding
+        );
+        const seconds = /^[1-9]$/.test(binding)
+            ? replayLengths[Number(binding) - 1]
+            : null;
+        if (other) {
+            conflicts[action] = `Also bound to "${HOTKEY_LABELS[other]}"`;
+        } else if (seconds) {
+            conflicts[action] =
+                `Also the number key for the ${seconds}s replay`;
+        } else if (TWITCH_SHORTCUTS[binding]) {
+            conflicts[action] =
+                `Overrides Twitch's ${TWITCH_SHORTCUTS[binding]} shortcut`;
+        }
+    }
+    return conflicts;
+}
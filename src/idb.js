@@ -0,0 +1,22 @@
+// Small IndexedDB helpers shared by the clip library and the disk buffer
+
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Opens `name`, creating `storeName` on first use: auto-incremented ids and
+// a createdAt index, which is the layout both stores use
+export function openDatabase(name, version, storeName) {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(storeName, {
+            keyPath: "id",
+            autoIncrement: true,
+        });
+        store.createIndex("createdAt", "createdAt");
+    };
+    return promisify(request);
+}
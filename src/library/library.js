@@ -0,0 +1,217 @@
+// library.js
+import { listClips, getClip, updateClip, deleteClip } from '../clip-store.js';
+import { formatBytes, formatTime, createDownloadUrl } from '../utils.js';
+
+document.addEventListener('DOMContentLoaded', function() {
+    const grid = document.getElementById('clipGrid');
+    const selected = new Set();
+    let clips = [];
+
+    function formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(undefined, {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+    }
+
+    async function updateStorageMeter() {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        document.getElementById('storageText').textContent =
+            `${formatBytes(usage)} used of ${formatBytes(quota)}`;
+        document.getElementById('storageBar').style.width =
+            quota ? `${Math.min(100, (usage / quota) * 100)}%` : '0';
+    }
+
+    function updateToolbar() {
+        document.getElementById('exportSelected').disabled = selected.size === 0;
+        document.getElementById('deleteSelected').disabled = selected.size === 0;
+        document.getElementById('selectAll').checked =
+            clips.length > 0 && selected.size === clips.length;
+        document.getElementById('clipCount').textContent = selected.size
+            ? `${selected.size} of ${clips.length} selected`
+            : `${clips.length} clip${clips.length === 1 ? '' : 's'}`;
+    }
+
+    function createButton(text, onClick, className) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        if (className) button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function renderClip(clip) {
+        const card = document.createElement('div');
+        card.className = 'clip';
+        card.classList.toggle('selected', selected.has(clip.id));
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'select';
+        checkbox.checked = selected.has(clip.id);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selected.add(clip.id);
+            } else {
+                selected.delete(clip.id);
+            }
+            card.classList.toggle('selected', checkbox.checked);
+            updateToolbar();
+        });
+
+        const thumb = document.createElement('div');
+        thumb.className = 'thumb';
+        if (clip.thumbnail) {
+            thumb.style.backgroundImage = `url(${clip.thumbnail})`;
+        }
+        thumb.addEventListener('click', () => playClip(clip.id));
+        if (clip.duration) {
+            const duration = document.createElement('span');
+            duration.className = 'duration';
+            duration.textContent = formatTime(clip.duration);
+            thumb.appendChild(duration);
+        }
+
+        const info = document.createElement('div');
+        info.className = 'info';
+
+        const name = document.createElement('div');
+        name.className = 'name';
+        name.textContent = clip.name;
+        name.title = clip.name;
+
+        const channel = document.createElement('div');
+        channel.className = 'meta';
+        channel.textContent = `${clip.channel} · ${formatDate(clip.createdAt)} · ${formatBytes(clip.size)}`;
+
+        const title = document.createElement('div');
+        title.className = 'meta';
+        title.textContent = clip.title || 'No stream title';
+        title.title = clip.title || '';
+
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        actions.appendChild(createButton('Play', () => playClip(clip.id)));
+        actions.appendChild(createButton('Rename', () => startRename(clip, name)));
+        actions.appendChild(createButton('Export', () => exportClips([clip.id])));
+        actions.appendChild(createButton('Delete', () => removeClips([clip.id]), 'danger'));
+
+        info.appendChild(name);
+        info.appendChild(channel);
+        info.appendChild(title);
+        info.appendChild(actions);
+
+        card.appendChild(thumb);
+        card.appendChild(checkbox);
+        card.appendChild(info);
+        return card;
+    }
+
+    async function render() {
+        clips = await listClips();
+        for (const id of [...selected]) {
+            if (!clips.some(clip => clip.id === id)) selected.delete(id);
+        }
+
+        grid.replaceChildren(...clips.map(renderClip));
+        document.getElementById('emptyState').hidden = clips.length > 0;
+        updateToolbar();
+        updateStorageMeter();
+    }
+
+    function startRename(clip, nameElement) {
+        const input = document.createElement('input');
+        input.value = clip.name;
+        nameElement.replaceChildren(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        async function finish(save) {
+            if (done) return;
+            done = true;
+            const newName = input.value.trim();
+            if (save && newName && newName !== clip.name) {
+                await updateClip(clip.id, { name: newName });
+                clip.name = newName;
+            }
+            nameElement.textContent = clip.name;
+            nameElement.title = clip.name;
+        }
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    async function playClip(id) {
+        const clip = await getClip(id);
+        if (!clip) return;
+
+        const dialog = document.getElementById('player');
+        const video = document.getElementById('playerVideo');
+        const url = URL.createObjectURL(clip.blob);
+        video.src = url;
+        dialog.showModal();
+        dialog.addEventListener('close', () => {
+            video.pause();
+            video.removeAttribute('src');
+            URL.revokeObjectURL(url);
+        }, { once: true });
+    }
+
+    // Download each clip under the name it has in the library
+    async function exportClips(ids) {
+        for (const id of ids) {
+            const clip = await getClip(id);
+            if (!clip) continue;
+
+            const extension = clip.mimeType === 'video/mp4' ? 'mp4' : 'webm';
+            const folder = clip.filename.includes('/')
+                ? clip.filename.slice(0, clip.filename.lastIndexOf('/') + 1)
+                : '';
+            const safeName = clip.name.replace(/[\\/:*?"<>|]/g, '_');
+            chrome.downloads.download({
+                url: createDownloadUrl(clip.blob),
+                filename: `${folder}${safeName}.${extension}`,
+                conflictAction: 'uniquify'
+            });
+        }
+    }
+
+    async function removeClips(ids) {
+        const message = ids.length === 1
+            ? 'Delete this clip?'
+            : `Delete ${ids.length} clips?`;
+        if (!confirm(message)) return;
+
+        for (const id of ids) {
+            await deleteClip(id);
+            selected.delete(id);
+        }
+        render();
+    }
+
+    document.getElementById('selectAll').addEventListener('change', (e) => {
+        selected.clear();
+        if (e.target.checked) {
+            clips.forEach(clip => selected.add(clip.id));
+        }
+        grid.replaceChildren(...clips.map(renderClip));
+        updateToolbar();
+    });
+    document.getElementById('exportSelected').addEventListener('click', () =>
+        exportClips([...selected])
+    );
+    document.getElementById('deleteSelected').addEventListener('click', () =>
+        removeClips([...selected])
+    );
+    document.getElementById('player').addEventListener('click', (e) => {
+        // Clicking the backdrop closes the player
+        if (e.target.id === 'player') e.target.close();
+    });
+
+    render();
+});
@@ -0,0 +1,84 @@
+// A lag this large is not drift but a jump in the media timestamps, e.g. after
+// an ad break was skipped or the source was switched; the clock re-anchors
+const RESYNC_THRESHOLD = 1_000_000; // microseconds
+// Share of the measured lag corrected per sample. Small enough to average out
+// the jitter of when samples are read, large enough to follow real drift
+const DRIFT_CORRECTION = 0.02;
+
+/**
+ * Maps one track's media timestamps (VideoFrame.timestamp, AudioData.timestamp)
+ * onto the buffer timeline. Media timestamps are spaced exactly as the samples
+ * were presented, so they are used as they are; only the offset to the
+ * timeline is measured, each time a sample is read, and slowly pulled towards
+ * the wall clock so that the audio and video clocks cannot drift apart.
+ */
+export class MediaClock {
+    constructor() {
+        // Added to a media timestamp to place it on the timeline
+        this.offset = null;
+        // Smoothed difference between when samples were presented and where
+        // the clock places them; stamped on every chunk for measureSync()
+        this.lag = 0;
+        this.resyncs = 0;
+    }
+
+    // Record that the sample stamped `mediaTimestamp` was presented at
+    // `presentedAt` on the timeline
+    observe(mediaTimestamp, presentedAt) {
+        if (this.offset === null) {
+            this.offset = presentedAt - mediaTimestamp;
+            return;
+        }
+
+        const lag = presentedAt - (mediaTimestamp + this.offset);
+        if (Math.abs(lag) > RESYNC_THRESHOLD) {
+            this.offset = presentedAt - mediaTimestamp;
+            this.lag = 0;
+            this.resyncs++;
+            return;
+        }
+
+        this.offset += lag * DRIFT_CORRECTION;
+        this.lag += (lag - this.lag) * DRIFT_CORRECTION;
+    }
+
+    toTimeline(mediaTimestamp) {
+        return mediaTimestamp + (this.offset ?? 0);
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * How far apart audio and video are in a snapshot, from the lag each chunk
+ * was stamped with. `offsetMs` is positive when the audio plays ahead of the
+ * picture; `driftMs` is how much that offset changes from the first half of
+ * the replay to the second. Returns null for snapshots without audio.
+ */
+export function measureSync(snapshot) {
+    const { videoChunks, audioChunks } = snapshot;
+    if (audioChunks.length === 0) return null;
+
+    const lags = (chunks) => chunks.map((c) => c.lag || 0);
+    const offset = (video, audio) =>
+        (median(lags(audio)) - median(lags(video))) / 1000;
+
+    const half = (chunks) => Math.floor(chunks.length / 2);
+    const firstHalf = offset(
+        videoChunks.slice(0, half(videoChunks)),
+        audioChunks.slice(0, half(audioChunks))
+    );
+    const secondHalf = offset(
+        videoChunks.slice(half(videoChunks)),
+        audioChunks.slice(half(audioChunks))
+    );
+
+    return {
+        offsetMs: Math.round(offset(videoChunks, audioChunks)),
+        driftMs: Math.round(secondHalf - firstHalf),
+    };
+}
@@ -0,0 +1,30 @@
+// How often the URL is compared as a last resort. Content scripts run in an
+// isolated world and cannot hook the page's history.pushState, so a
+// navigation the other signals miss is caught within this long
+const POLL_INTERVAL = 1000;
+
+/**
+ * Call `onChange(url)` whenever the page's URL changes, including the
+ * history.pushState navigations a single page app makes. The Navigation API
+ * reports most of them at once, popstate covers back/forward, and a cheap
+ * poll catches the rest. Returns a function that stops watching.
+ */
+export function watchNavigation(onChange) {
+    let lastHref = location.href;
+
+    const check = () => {
+        if (location.href === lastHref) return;
+        lastHref = location.href;
+        onChange(new URL(lastHref));
+    };
+
+    window.navigation?.addEventListener("navigatesuccess", check);
+    window.addEventListener("popstate", check);
+    const interval = setInterval(check, POLL_INTERVAL);
+
+    return () => {
+        window.navigation?.removeEventListener("navigatesuccess", check);
+        window.removeEventListener("popstate", check);
+        clearInterval(interval);
+    };
+}
@@ -0,0 +1,19 @@
+import { getClip } from '../clip-store.js';
+import { createDownloadUrl } from '../utils.js';
+
+// Offscreen document of the background service worker, which has no
+// URL.createObjectURL. It shares the extension's origin, so it reads a clip
+// from the library and hands back an object URL the downloads API can fetch
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== 'CLIP_OBJECT_URL') return;
+
+    getClip(message.clipId)
+        .then((clip) => {
+            if (!clip) throw new Error(`Clip ${message.clipId} not found`);
+            sendResponse({ ok: true, url: createDownloadUrl(clip.blob) });
+        })
+        .catch((error) => sendResponse({ ok: false, error: error.message }));
+    // Keep the message channel open for the async response
+    return true;
+});
@@ -0,0 +1,253 @@
+import { formatTime, createButton, BUTTON_STYLE } from "./utils.js";
+
+export const SPEED_PRESETS = [0.1, 0.25, 0.5, 1, 1.5, 2];
+
+// The muxer declares 30 fps, the rate the buffer captures at
+const FRAME_DURATION = 1 / 30;
+
+const ACTIVE_BACKGROUND = "rgba(145, 71, 255, 0.9)";
+
+// Speed presets, frame stepping and looping for the replay video. The A-B
+// loop is checked on every presented frame rather than on timeupdate, which
+// only fires every ~250 ms and would overshoot the B point noticeably
+export class PlaybackControls {
+    constructor(video, { loop = false, onLoopChange } = {}) {
+        this.video = video;
+        this.onLoopChange = onLoopChange;
+        this.speed = 1;
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.elements = {};
+        this.frameCallback = null;
+
+        this.handleRateChange = this.handleRateChange.bind(this);
+
+        this.createElements();
+        this.setLoopAll(loop);
+        this.watchFrames();
+        this.render();
+    }
+
+    createElements() {
+        this.elements.container = document.createElement("div");
+        Object.assign(this.elements.container.style, {
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: "4px",
+            padding: "0 26px 8px 10px",
+            backgroundColor: "#18181b",
+            color: "white",
+            fontSize: "11px",
+        });
+
+        this.elements.speedButtons = SPEED_PRESETS.map((speed) => {
+            const button = this.createButton(
+                `${speed}×`,
+                `Play at ${speed}× speed`
+            );
+            button.addEventListener("click", () => this.setSpeed(speed));
+            return button;
+        });
+
+        this.elements.prevFrameButton = this.createButton(
+            "◂",
+            "Previous frame (,)"
+        );
+        this.elements.nextFrameButton = this.createButton(
+            "▸",
+            "Next frame (.)"
+        );
+        this.elements.loopStartButton = this.createButton(
+            "A",
+            "Start the loop here"
+        );
+        this.elements.loopEndButton = this.createButton(
+            "B",
+            "End the loop here"
+        );
+        this.elements.clearLoopButton = this.createButton(
+            "×",
+            "Clear the A-B loop"
+        );
+        this.elements.loopAllButton = this.createButton(
+            "Loop",
+            "Loop the whole replay instead of closing at the end"
+        );
+
+        this.elements.loopLabel = document.createElement("span");
+        Object.assign(this.elements.loopLabel.style, {
+            fontVariantNumeric: "tabular-nums",
+            opacity: "0.8",
+        });
+
+        const spacer = () => {
+            const element = document.createElement("span");
+            element.style.width = "6px";
+            return element;
+        };
+
+        this.elements.speedButtons.forEach((button) =>
+            this.elements.container.appendChild(button)
+        );
+        this.elements.container.appendChild(spacer());
+        this.elements.container.appendChild(this.elements.prevFrameButton);
+        this.elements.container.appendChild(this.elements.nextFrameButton);
+        this.elements.container.appendChild(spacer());
+        this.elements.container.appendChild(this.elements.loopStartButton);
+        this.elements.container.appendChild(this.elements.loopEndButton);
+        this.elements.container.appendChild(this.elements.loopLabel);
+        this.elements.container.appendChild(this.elements.clearLoopButton);
+        this.elements.container.appendChild(spacer());
+        this.elements.container.appendChild(this.elements.loopAllButton);
+
+        this.elements.prevFrameButton.addEventListener("click", () =>
+            this.step(-1)
+        );
+        this.elements.nextFrameButton.addEventListener("click", () =>
+            this.step(1)
+        );
+        this.elements.loopStartButton.addEventListener("click", () =>
+            this.setLoopStart(this.video.currentTime)
+        );
+        this.elements.loopEndButton.addEventListener("click", () =>
+            this.setLoopEnd(this.video.currentTime)
+        );
+        this.elements.clearLoopButton.addEventListener("click", () =>
+            this.clearLoop()
+        );
+        this.elements.loopAllButton.addEventListener("click", () =>
+            this.setLoopAll(!this.video.loop)
+        );
+        this.video.addEventListener("ratechange", this.handleRateChange);
+    }
+
+    createButton(text, title) {
+        return createButton(text, title, {
+            fontVariantNumeric: "tabular-nums",
+        });
+    }
+
+    get element() {
+        return this.elements.container;
+    }
+
+    // defaultPlaybackRate survives a source change, playbackRate does not
+    setSpeed(speed) {
+        this.speed = speed;
+        this.video.defaultPlaybackRate = speed;
+        this.video.playbackRate = speed;
+        this.render();
+    }
+
+    // The native controls can change the rate as well
+    handleRateChange() {
+        this.speed = this.video.playbackRate;
+        this.render();
+    }
+
+    // Pause and move one frame back or forward
+    step(direction) {
+        this.video.pause();
+        const time = this.video.currentTime + direction * FRAME_DURATION;
+        this.video.currentTime = Math.max(0, time);
+    }
+
+    setLoopStart(seconds) {
+        this.loopStart = seconds;
+        if (this.loopEnd !== null && this.loopEnd <= seconds) {
+            this.loopEnd = null;
+        }
+        this.loopChanged();
+    }
+
+    setLoopEnd(seconds) {
+        const start = this.loopStart ?? 0;
+        if (seconds <= start) return;
+        this.loopStart = start;
+        this.loopEnd = seconds;
+        this.loopChanged();
+    }
+
+    clearLoop() {
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.loopChanged();
+    }
+
+    setLoopAll(enabled) {
+        this.video.loop = enabled;
+        this.render();
+    }
+
+    loopChanged() {
+        this.render();
+        this.onLoopChange?.(this.getLoop());
+    }
+
+    // The A-B region, or null until both points are set
+    getLoop() {
+        if (this.loopEnd === null) return null;
+        return { start: this.loopStart, end: this.loopEnd };
+    }
+
+    watchFrames() {
+        if (!this.video.requestVideoFrameCallback) return;
+
+        this.frameCallback = this.video.requestVideoFrameCallback(
+            (now, metadata) => {
+                const loop = this.getLoop();
+                if (
+                    loop &&
+                    !this.video.paused &&
+                    metadata.mediaTime >= loop.end
+                ) {
+                    this.video.currentTime = loop.start;
+                }
+                this.watchFrames();
+            }
+        );
+    }
+
+    // Called when playback reaches the end. Returns true when a loop keeps
+    // the replay going, in which case the window must stay open
+    handleEnded() {
+        const loop = this.getLoop();
+        if (loop) {
+            this.video.currentTime = loop.start;
+            this.video.play();
+            return true;
+        }
+        return this.video.loop;
+    }
+
+    render() {
+        const highlight = (button, active) => {
+            button.style.backgroundColor = active
+                ? ACTIVE_BACKGROUND
+                : BUTTON_STYLE.backgroundColor;
+        };
+
+        SPEED_PRESETS.forEach((speed, i) =>
+            highlight(this.elements.speedButtons[i], speed === this.speed)
+        );
+        highlight(this.elements.loopStartButton, this.loopStart !== null);
+        highlight(this.elements.loopEndButton, this.loopEnd !== null);
+        highlight(this.elements.loopAllButton, this.video.loop);
+
+        const loop = this.getLoop();
+        this.elements.loopLabel.textContent = loop
+            ? `${formatTime(loop.start)} – ${formatTime(loop.end)}`
+            : "";
+        this.elements.clearLoopButton.style.display =
+            this.loopStart !== null ? "" : "none";
+    }
+
+    destroy() {
+        this.video.removeEventListener("ratechange", this.handleRateChange);
+        if (this.frameCallback !== null) {
+            this.video.cancelVideoFrameCallback(this.frameCallback);
+            this.frameCallback = null;
+        }
+    }
+}
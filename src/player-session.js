@@ -0,0 +1,321 @@
+import { RingBufferProxy } from "./ring-buffer-proxy.js";
+import { CONFIG } from "./config.js";
+import { saveClip } from "./clips.js";
+import { measureSync } from "./media-clock.js";
+import {
+    addStatusIndicator,
+    updateStatusIndicator,
+    flashStatusIndicator,
+    removeStatusIndicator,
+} from "./status-indicator.js";
+import {
+    addDiagnosticsOverlay,
+    updateDiagnosticsOverlay,
+    removeDiagnosticsOverlay,
+} from "./diagnostics.js";
+
+// Resolves once the ad is over, or early when `signal` aborts so a destroyed
+// session stops watching the player
+async function waitForAdToFinish(site, container, signal) {
+    return new Promise((resolve) => {
+        if (signal.aborted || !site.isAdPlaying(container)) {
+            resolve();
+            return;
+        }
+
+        const finish = () => {
+            observer.disconnect();
+            signal.removeEventListener("abort", finish);
+            resolve();
+        };
+        const observer = new MutationObserver(() => {
+            if (!site.isAdPlaying(container)) finish();
+        });
+        signal.addEventListener("abort", finish);
+
+        observer.observe(container, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+        });
+    });
+}
+
+/**
+ * One buffered player: its ring buffer, status badge and ad watcher. The
+ * page-level ReplaySystem keeps a session per visible video element and
+ * decides which one a shortcut applies to. `site` is the adapter for the
+ * page's markup.
+ */
+export class PlayerSession {
+    constructor(video, site) {
+        this.video = video;
+        this.site = site;
+        this.container = site.getPlayerContainer(video);
+        this.ringBuffer = null;
+        this.indicator = null;
+        this.diagnostics = null;
+        this.adCheckInterval = null;
+        this.statsInterval = null;
+        this.destroyed = false;
+        this.abortController = new AbortController();
+    }
+
+    async initialize() {
+        console.log("[ITR] Starting initialization with delay...");
+
+        // Wait for the initial delay
+        await new Promise((resolve) => setTimeout(resolve, CONFIG.initDelay));
+
+        // Check for and wait for any ads to finish
+        console.log("[ITR] Checking for ads before initialization...");
+        await waitForAdToFinish(
+            this.site,
+            this.container,
+            this.abortController.signal
+        );
+        if (this.destroyed) return false;
+        console.log("[ITR] No ads playing, proceeding with initialization");
+
+        // Wait until video has enough data to capture
+        const videoElement = this.video;
+        if (videoElement.readyState < 3) {
+            console.log("[ITR] Video not ready yet, waiting for data...");
+            await new Promise((resolve) => {
+                // Check periodically since loadeddata may have already fired
+                const check = () => {
+                    if (videoElement.readyState >= 3 || this.destroyed) {
+                        resolve();
+                    } else {
+                        setTimeout(check, 200);
+                    }
+                };
+                check();
+            });
+        }
+        if (this.destroyed) return false;
+
+        this.ringBuffer = new RingBufferProxy(
+            CONFIG.recordingDuration,
+            CONFIG.videoBitrate,
+            {
+                outputFormat: CONFIG.outputFormat,
+                videoCodec: CONFIG.videoCodec,
+                captureResolution: CONFIG.captureResolution,
+                maxBytes: CONFIG.maxBufferMB * 1024 * 1024,
+                diskSeconds: CONFIG.diskBuffer
+                    ? CONFIG.diskBufferMinutes * 60
+                    : 0,
+                markerPadding: CONFIG.markerPadding,
+                markerHoldSeconds: CONFIG.markerHoldMinutes * 60,
+            }
+        );
+
+        const success = await this.ringBuffer.start(videoElement);
+        if (!success || this.destroyed) {
+            console.warn("[ITR] Failed to start ring buffer");
+            return false;
+        }
+
+        // Clicking the player should give it focus
+        const focusTarget = this.site.getFocusTarget(this.container);
+        if (focusTarget && focusTarget.tabIndex < 0) {
+            focusTarget.tabIndex = 0;
+        }
+
+        this.setupAdCheckInterval();
+        this.setupStatsInterval();
+        if (CONFIG.showBadge) {
+            this.showBadge(true);
+        }
+        if (CONFIG.showDiagnostics) {
+            this.showDiagnostics(true);
+        }
+        return true;
+    }
+
+    get running() {
+        return !!this.ringBuffer?.running;
+    }
+
+    setupAdCheckInterval() {
+        if (this.adCheckInterval) {
+            clearInterval(this.adCheckInterval);
+        }
+
+        this.adCheckInterval = setInterval(async () => {
+            if (
+                this.site.isAdPlaying(this.container) &&
+                !this.ringBuffer.paused
+            ) {
+                console.log("[ITR] Ad detected, pausing ring buffer");
+                this.ringBuffer.pause();
+
+                await waitForAdToFinish(
+                    this.site,
+                    this.container,
+                    this.abortController.signal
+                );
+                if (this.destroyed) return;
+
+                console.log("[ITR] Ad finished, resuming ring buffer");
+                this.ringBuffer?.resume();
+            }
+        }, 1000);
+    }
+
+    setupStatsInterval() {
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+        }
+
+        this.statsInterval = setInterval(() => {
+            if (this.ringBuffer) {
+                const stats = this.ringBuffer.getStats();
+                updateStatusIndicator(this.indicator, stats);
+                updateDiagnosticsOverlay(this.diagnostics, stats);
+            }
+        }, 1000);
+    }
+
+    showBadge(visible) {
+        removeStatusIndicator(this.indicator);
+        this.indicator = null;
+        if (visible) {
+            this.indicator = addStatusIndicator(
+                this.site.getBadgeMount(this.container)
+            );
+        }
+    }
+
+    showDiagnostics(visible) {
+        removeDiagnosticsOverlay(this.diagnostics);
+        this.diagnostics = null;
+        if (visible) {
+            this.diagnostics = addDiagnosticsOverlay(this.container);
+            updateDiagnosticsOverlay(
+                this.diagnostics,
+                this.ringBuffer.getStats()
+            );
+        }
+    }
+
+    // Whether the player is at the given viewport point
+    containsPoint(x, y) {
+        const rect = this.container.getBoundingClientRect();
+        return (
+            x >= rect.left &&
+            x <= rect.right &&
+            y >= rect.top &&
+            y <= rect.bottom
+        );
+    }
+
+    // On-screen area of the video, used to prefer the main player
+    visibleArea() {
+        const rect = this.video.getBoundingClientRect();
+        const width =
+            Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+        const height =
+            Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+        return Math.max(0, width) * Math.max(0, height);
+    }
+
+    async markMoment() {
+        if (!this.running) return;
+
+        try {
+            const marker = await this.ringBuffer.addMarker();
+            flashStatusIndicator(this.indicator, `Marker ${marker.id} set`);
+        } catch (e) {
+            console.error("[ITR] Failed to set marker:", e);
+        }
+    }
+
+    // Save the marker ± the configured padding as a clip, then release it
+    async exportMarker(id) {
+        const blob = await this.ringBuffer?.exportMarker(id);
+        if (!blob) {
+            throw new Error(`No footage held for marker ${id}`);
+        }
+        await saveClip(blob);
+        this.ringBuffer.dismissMarker(id);
+    }
+
+    // Keep the snapshot alongside the blob so the replay window can export
+    // trimmed ranges from the same encoded chunks
+    async buildReplay(options) {
+        const replay = await this.ringBuffer?.replay(options);
+        if (!replay) return null;
+
+        const sync = measureSync(replay.snapshot);
+        if (sync) {
+            console.log(
+                `[ITR] Replay A/V offset ${sync.offsetMs}ms, drift ${sync.driftMs}ms`
+            );
+        }
+        return { ...replay, sync };
+    }
+
+    async saveLast(seconds) {
+        const blob = await this.ringBuffer?.clip({ seconds });
+        if (!blob) {
+            throw new Error("Nothing buffered yet");
+        }
+        await saveClip(blob);
+        flashStatusIndicator(this.indicator, `Saved the last ${seconds}s`);
+    }
+
+    // Mux part of a snapshot returned by buildReplay()
+    muxRange(snapshot, range) {
+        return this.ringBuffer.muxRange(snapshot.id, range);
+    }
+
+    // Let the worker drop the snapshots behind the closed replay window
+    releaseReplays() {
+        this.ringBuffer?.releaseReplays();
+    }
+
+    // Snapshot of the running buffer for the settings popup
+    getState() {
+        const format = this.ringBuffer?.format;
+        return {
+            initialized: this.running,
+            paused: !!this.ringBuffer?.paused,
+            stats: this.ringBuffer ? this.ringBuffer.getStats() : null,
+            format: format
+                ? {
+                      container: format.container,
+                      videoCodec: format.videoCodec,
+                      audioCodec: format.audioCodec,
+                      codecString: format.videoConfig.codec,
+                      hardware: format.hardware,
+                  }
+                : null,
+        };
+    }
+
+    destroy() {
+        console.log("[ITR] Destroying player session");
+        this.destroyed = true;
+        this.abortController.abort();
+
+        if (this.adCheckInterval) {
+            clearInterval(this.adCheckInterval);
+            this.adCheckInterval = null;
+        }
+
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+            this.statsInterval = null;
+        }
+
+        if (this.ringBuffer) {
+            this.ringBuffer.stop();
+            this.ringBuffer = null;
+        }
+
+        this.showBadge(false);
+        this.showDiagnostics(false);
+    }
+}
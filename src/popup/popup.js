@@ -1,4 +1,9 @@
 // popup.js
+import { describeFormat } from '../codecs.js';
+import { formatBytes, formatTime } from '../utils.js';
+import { describeDiagnostics } from '../diagnostics.js';
+import { bindingFromEvent, getHotkeys, formatBinding, findConflicts, DEFAULT_HOTKEYS } from '../hotkeys.js';
+
 document.addEventListener('DOMContentLoaded', function() {
     // Fall back to the default only when the value was never stored, so that
     // legitimate zero values survive a reload
@@ -12,7 +17,20 @@ document.addEventListener('DOMContentLoaded', function() {
 
         // Populate form with current values
         document.getElementById('recordingDuration').value = withDefault(config.recordingDuration, 30);
+        document.getElementById('saveLastSeconds').value = withDefault(config.saveLastSeconds, 30);
+        document.getElementById('shortReplaySeconds').value = withDefault(config.shortReplaySeconds, 8);
+        document.getElementById('numberKeyReplays').checked = config.numberKeyReplays !== false;
+        document.getElementById('replayLengths').value = withDefault(config.replayLengths, [5, 10, 30]).join(', ');
+        document.getElementById('maxBufferMB').value = withDefault(config.maxBufferMB, 200);
+        document.getElementById('diskBuffer').checked = config.diskBuffer === true;
+        document.getElementById('diskBufferMinutes').value = withDefault(config.diskBufferMinutes, 10);
+        document.getElementById('markerPadding').value = withDefault(config.markerPadding, 10);
+        document.getElementById('markerHoldMinutes').value = withDefault(config.markerHoldMinutes, 5);
+        document.getElementById('captureResolution').value = withDefault(config.captureResolution, 'source');
+        document.getElementById('outputFormat').value = withDefault(config.outputFormat, 'webm');
+        document.getElementById('videoCodec').value = withDefault(config.videoCodec, 'auto');
         document.getElementById('defaultWrapperWidth').value = withDefault(config.defaultWrapperWidth, '600px');
+        document.getElementById('replayLayout').value = withDefault(config.replayLayout, 'window');
         document.getElementById('volumeReduction').value = Math.round(withDefault(config.volumeReduction, 0.05) * 100);
         document.getElementById('replayVolumeMode').value = withDefault(config.replayVolumeMode, 'fixed');
         document.getElementById('replayVolume').value = Math.round(withDefault(config.replayVolume, 1) * 100);
@@ -20,24 +38,226 @@ document.addEventListener('DOMContentLoaded', function() {
         document.getElementById('useStorage').checked = config.useStorage !== false;
         document.getElementById('enableToggle').checked = config.enableToggle !== false;
         document.getElementById('autoClose').checked = config.autoClose !== false;
+        document.getElementById('loopReplay').checked = config.loopReplay === true;
         document.getElementById('showBadge').checked = config.showBadge !== false;
+        document.getElementById('showDiagnostics').checked = config.showDiagnostics === true;
+        document.getElementById('downloadClips').checked = config.downloadClips !== false;
+        setHotkeys(getHotkeys(config.hotkeys));
 
         updateLabels();
     });
 
+    // Send a message to the content script of the active tab
+    function sendToTab(message) {
+        return chrome.tabs.query({active: true, currentWindow: true}).then(tabs => {
+            if (!tabs[0]) throw new Error('No active tab');
+            return chrome.tabs.sendMessage(tabs[0].id, message);
+        });
+    }
+
+    const tabActions = document.querySelectorAll('.tab-action');
+
+    function setTabStatus(text, recording) {
+        document.getElementById('tabStatus').textContent = text;
+        tabActions.forEach(button => {
+            button.disabled = !recording;
+        });
+    }
+
+    // Show the live state of the replay buffer in the active tab
+    function refreshState() {
+        chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
+            if (!tabs[0]) return;
+            chrome.tabs.sendMessage(tabs[0].id, {type: 'GET_STATE'}).then(state => {
+                if (!state || !state.initialized) {
+                    setTabStatus(state && state.starting ? 'Starting…' : 'Not recording', false);
+                    // Restarting is how a buffer that failed to start is retried
+                    document.getElementById('restartBuffer').disabled = false;
+                    return;
+                }
+                setTabStatus(state.paused ? 'Paused for ad' : 'Recording', true);
+
+                if (state.format) {
+                    const activeCodec = document.getElementById('activeCodec');
+                    activeCodec.textContent = describeFormat(state.format);
+                    activeCodec.title = state.format.codecString;
+                }
+                if (state.stats) {
+                    const stats = state.stats;
+                    if (stats.pipeline) {
+                        document.getElementById('captureSize').textContent =
+                            `${stats.pipeline.width}x${stats.pipeline.height}`;
+                    }
+                    const bufferStats = document.getElementById('bufferStats');
+                    bufferStats.textContent =
+                        `${Math.round(stats.seconds)}s · ${formatBytes(stats.bytes)}`;
+                    bufferStats.title =
+                        `${stats.videoChunks} video / ${stats.audioChunks} audio chunks`;
+                    if (stats.disk) {
+                        bufferStats.textContent += ` · ${formatTime(stats.disk.seconds)} total`;
+                        bufferStats.title +=
+                            `, ${stats.disk.segments} segments (${formatBytes(stats.disk.bytes)}) on disk`;
+                    }
+                    if (state.players > 1) {
+                        bufferStats.title += `. ${state.players} players buffered, showing the active one`;
+                    }
+                    renderDiagnostics(stats);
+                }
+            }).catch(() => {
+                // Not a Twitch tab, keep the placeholders
+                setTabStatus('Not on Twitch', false);
+            });
+        });
+    }
+
+    // Report the outcome of a tab action under the buttons
+    function showActionStatus(text) {
+        document.getElementById('tabActionStatus').textContent = text;
+    }
+
+    document.getElementById('replayNow').addEventListener('click', () => {
+        sendToTab({type: 'PLAY_REPLAY'}).catch(() => {
+            showActionStatus('Could not reach the tab');
+        });
+    });
+
+    document.getElementById('saveLast').addEventListener('click', () => {
+        const seconds = parseInt(document.getElementById('saveLastSeconds').value) || 30;
+        showActionStatus(`Saving the last ${seconds}s…`);
+        sendToTab({type: 'SAVE_LAST', seconds}).then(result => {
+            showActionStatus(result && result.ok
+                ? `Saved the last ${seconds}s to the clip library`
+                : `Save failed: ${(result && result.error) || 'unknown error'}`);
+        }).catch(() => {
+            showActionStatus('Could not reach the tab');
+        });
+    });
+
+    document.getElementById('restartBuffer').addEventListener('click', () => {
+        sendToTab({type: 'RESTART_BUFFER'}).then(result => {
+            showActionStatus(result && result.ok
+                ? 'Buffer restarted'
+                : 'No live player to restart on this page');
+            refreshState();
+        }).catch(() => {
+            showActionStatus('Could not reach the tab');
+        });
+    });
+
+    // Same rows as the in-player stats overlay
+    function renderDiagnostics(stats) {
+        const rows = describeDiagnostics(stats);
+        if (rows.length === 0) return;
+
+        document.getElementById('diagnostics').replaceChildren(...rows.flatMap(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            return [dt, dd];
+        }));
+    }
+
+    refreshState();
+    setInterval(refreshState, 1000);
+
+    const hotkeyInputs = document.querySelectorAll('.hotkey');
+
+    function readHotkeys() {
+        const hotkeys = {};
+        hotkeyInputs.forEach(input => {
+            hotkeys[input.dataset.action] = input.dataset.binding;
+        });
+        return hotkeys;
+    }
+
+    // Lengths the number keys replay, empty while they are turned off
+    function readNumberKeyLengths() {
+        return document.getElementById('numberKeyReplays').checked
+            ? parseReplayLengths(document.getElementById('replayLengths').value)
+            : [];
+    }
+
+    // Show the bindings, flag conflicts and keep the footer hints in sync
+    function setHotkeys(hotkeys) {
+        const conflicts = findConflicts(hotkeys, readNumberKeyLengths());
+        hotkeyInputs.forEach(input => {
+            const action = input.dataset.action;
+            input.dataset.binding = hotkeys[action];
+            input.value = formatBinding(hotkeys[action]);
+            document.getElementById(`hotkey-${action}-warning`).textContent =
+                conflicts[action] || '';
+            document.getElementById(`footer-${action}`).textContent =
+                formatBinding(hotkeys[action]);
+        });
+    }
+
+    hotkeyInputs.forEach(input => {
+        input.addEventListener('focus', () => {
+            input.value = 'Press a key…';
+        });
+        input.addEventListener('blur', () => {
+            input.value = formatBinding(input.dataset.binding);
+        });
+        input.addEventListener('keydown', (e) => {
+            e.preventDefault();
+            const binding = e.key === 'Backspace'
+                ? DEFAULT_HOTKEYS[input.dataset.action]
+                : bindingFromEvent(e);
+            if (!binding) return;
+
+            input.dataset.binding = binding;
+            input.blur();
+            setHotkeys(readHotkeys());
+            debouncedSaveConfiguration();
+        });
+    });
+
+    // Re-check the bindings against the number keys as those change
+    ['numberKeyReplays', 'replayLengths'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => setHotkeys(readHotkeys()));
+    });
+
+    // The browser-level shortcut is managed by Chrome, not stored in our config
+    chrome.commands.getAll(commands => {
+        const command = commands.find(c => c.name === 'show-replay');
+        if (command && command.shortcut) {
+            document.getElementById('commandShortcut').textContent = command.shortcut;
+        }
+    });
+    document.getElementById('editCommand').addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
     // Keep the live value labels in sync and show the replay level slider only
     // when a fixed volume is used
     function updateLabels() {
         const mode = document.getElementById('replayVolumeMode').value;
         document.getElementById('replayVolumeItem').style.display =
             mode === 'fixed' ? '' : 'none';
+        document.getElementById('diskBufferMinutesItem').style.display =
+            document.getElementById('diskBuffer').checked ? '' : 'none';
 
         document.getElementById('recordingDurationValue').textContent =
             `${document.getElementById('recordingDuration').value}s`;
+        document.getElementById('shortReplaySecondsValue').textContent =
+            `${document.getElementById('shortReplaySeconds').value}s`;
+        document.getElementById('replayLengths').disabled =
+            !document.getElementById('numberKeyReplays').checked;
+        document.getElementById('maxBufferMBValue').textContent =
+            `${document.getElementById('maxBufferMB').value} MB`;
+        document.getElementById('diskBufferMinutesValue').textContent =
+            `${document.getElementById('diskBufferMinutes').value} min`;
+        document.getElementById('markerPaddingValue').textContent =
+            `±${document.getElementById('markerPadding').value}s`;
+        document.getElementById('markerHoldMinutesValue').textContent =
+            `${document.getElementById('markerHoldMinutes').value} min`;
         document.getElementById('volumeReductionValue').textContent =
             `${document.getElementById('volumeReduction').value}%`;
         document.getElementById('replayVolumeValue').textContent =
             `${document.getElementById('replayVolume').value}%`;
+        document.getElementById('saveLastLabel').textContent =
+            document.getElementById('saveLastSeconds').value;
     }
 
     // Debounce function to limit how often we save configuration
@@ -61,11 +281,33 @@ document.addEventListener('DOMContentLoaded', function() {
         statusTimeout = setTimeout(() => status.classList.remove('visible'), 1500);
     }
 
+    // "5, 10, 30" -> [5, 10, 30], one entry per number key
+    function parseReplayLengths(text) {
+        return text
+            .split(/[\s,]+/)
+            .map(value => parseInt(value))
+            .filter(value => value > 0)
+            .slice(0, 9);
+    }
+
     // Save configuration
     function saveConfiguration() {
         const newConfig = {
             recordingDuration: parseInt(document.getElementById('recordingDuration').value),
+            shortReplaySeconds: parseInt(document.getElementById('shortReplaySeconds').value),
+            saveLastSeconds: parseInt(document.getElementById('saveLastSeconds').value),
+            numberKeyReplays: document.getElementById('numberKeyReplays').checked,
+            replayLengths: parseReplayLengths(document.getElementById('replayLengths').value),
+            maxBufferMB: parseInt(document.getElementById('maxBufferMB').value),
+            diskBuffer: document.getElementById('diskBuffer').checked,
+            diskBufferMinutes: parseInt(document.getElementById('diskBufferMinutes').value),
+            captureResolution: document.getElementById('captureResolution').value,
+            markerPadding: parseInt(document.getElementById('markerPadding').value),
+            markerHoldMinutes: parseInt(document.getElementById('markerHoldMinutes').value),
+            outputFormat: document.getElementById('outputFormat').value,
+            videoCodec: document.getElementById('videoCodec').value,
             defaultWrapperWidth: document.getElementById('defaultWrapperWidth').value,
+            replayLayout: document.getElementById('replayLayout').value,
             volumeReduction: parseInt(document.getElementById('volumeReduction').value) / 100,
             replayVolumeMode: document.getElementById('replayVolumeMode').value,
             replayVolume: parseInt(document.getElementById('replayVolume').value) / 100,
@@ -74,7 +316,11 @@ document.addEventListener('DOMContentLoaded', function() {
             storageKey: "replayUIPositionAndSize",
             enableToggle: document.getElementById('enableToggle').checked,
             autoClose: document.getElementById('autoClose').checked,
-            showBadge: document.getElementById('showBadge').checked
+            loopReplay: document.getElementById('loopReplay').checked,
+            showBadge: document.getElementById('showBadge').checked,
+            showDiagnostics: document.getElementById('showDiagnostics').checked,
+            downloadClips: document.getElementById('downloadClips').checked,
+            hotkeys: readHotkeys()
         };
 
         // Save to chrome.storage
@@ -103,4 +349,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Immediate (non debounced) feedback while dragging sliders
     form.addEventListener('input', updateLabels);
     document.getElementById('replayVolumeMode').addEventListener('change', updateLabels);
+    document.getElementById('openLibrary').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('library.html') });
+    });
 });
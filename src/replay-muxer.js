@@ -0,0 +1,154 @@
+import {
+    Output,
+    WebMOutputFormat,
+    Mp4OutputFormat,
+    BufferTarget,
+    EncodedVideoPacketSource,
+    EncodedAudioPacketSource,
+    EncodedPacket,
+} from "mediabunny";
+
+// Duration of a snapshot in seconds, measured from its first keyframe
+export function getSnapshotDuration(snapshot) {
+    const last = snapshot.videoChunks[snapshot.videoChunks.length - 1];
+    return (
+        (last.timestamp + (last.duration || 0) - snapshot.baseTimestamp) /
+        1_000_000
+    );
+}
+
+// Keyframe positions in seconds relative to the start of the snapshot. Cuts
+// can only start on one of these without re-encoding
+export function getKeyframeTimes(snapshot) {
+    return snapshot.videoChunks
+        .filter((c) => c.isKey)
+        .map((c) => (c.timestamp - snapshot.baseTimestamp) / 1_000_000);
+}
+
+// Ad breaks cut out of the snapshot as { time, duration }, time being the
+// seconds into the replay where the stream picks up again
+export function getGapTimes(snapshot) {
+    return (snapshot.gaps || []).map((g) => ({
+        time: (g.timestamp - snapshot.baseTimestamp) / 1_000_000,
+        duration: g.duration,
+    }));
+}
+
+// Latest keyframe time at or before `seconds`
+export function snapToKeyframe(keyframeTimes, seconds) {
+    let snapped = keyframeTimes[0] || 0;
+    for (const time of keyframeTimes) {
+        if (time <= seconds) {
+            snapped = time;
+        }
+    }
+    return snapped;
+}
+
+function createOutputFormat(container) {
+    if (container === "mp4") {
+        // Put the moov box up front so the replay can start playing at once
+        return new Mp4OutputFormat({ fastStart: "in-memory" });
+    }
+    return new WebMOutputFormat();
+}
+
+/**
+ * Mux a snapshot of encoded chunks into a playable blob. `start` and `end`
+ * are seconds relative to the snapshot's first keyframe; the start is moved
+ * back to the nearest keyframe so nothing has to be re-encoded.
+ */
+export async function muxReplay(snapshot, { start = 0, end = Infinity } = {}) {
+    const { videoChunks, audioChunks, baseTimestamp } = snapshot;
+    const startLimit = baseTimestamp + start * 1_000_000;
+    const endLimit = baseTimestamp + end * 1_000_000;
+
+    let startIdx = 0;
+    for (let i = 0; i < videoChunks.length; i++) {
+        if (videoChunks[i].timestamp > startLimit) break;
+        if (videoChunks[i].isKey) {
+            startIdx = i;
+        }
+    }
+
+    const videoSlice = videoChunks
+        .slice(startIdx)
+        .filter((c) => c.timestamp <= endLimit);
+    if (videoSlice.length === 0) {
+        console.warn("[ITR] Selected range contains no video");
+        return null;
+    }
+
+    const sliceStart = videoSlice[0].timestamp;
+    const sliceEnd = videoSlice[videoSlice.length - 1].timestamp;
+
+    // Filter audio chunks to match video time range
+    const audioSlice = audioChunks.filter(
+        (c) => c.timestamp >= sliceStart && c.timestamp <= sliceEnd
+    );
+
+    console.log(
+        `[ITR] Muxing replay: ${videoSlice.length} video chunks, ${audioSlice.length} audio chunks`
+    );
+
+    try {
+        const { format } = snapshot;
+        const videoSource = new EncodedVideoPacketSource(format.videoCodec);
+        const audioSource =
+            audioSlice.length > 0
+                ? new EncodedAudioPacketSource(format.audioCodec)
+                : null;
+
+        const target = new BufferTarget();
+        const output = new Output({
+            format: createOutputFormat(format.container),
+            target,
+        });
+
+        output.addVideoTrack(videoSource, { frameRate: 30 });
+        if (audioSource) {
+            output.addAudioTrack(audioSource);
+        }
+
+        await output.start();
+
+        // Add video chunks
+        for (let i = 0; i < videoSlice.length; i++) {
+            const c = videoSlice[i];
+            const packet = new EncodedPacket(
+                c.data,
+                c.isKey ? "key" : "delta",
+                (c.timestamp - sliceStart) / 1_000_000, // convert to seconds
+                c.duration / 1_000_000 // convert to seconds
+            );
+            const meta = i === 0 ? snapshot.videoMeta : undefined;
+            await videoSource.add(packet, meta);
+        }
+
+        // Add audio chunks
+        if (audioSource) {
+            for (let i = 0; i < audioSlice.length; i++) {
+                const c = audioSlice[i];
+                const packet = new EncodedPacket(
+                    c.data,
+                    c.isKey ? "key" : "delta",
+                    (c.timestamp - sliceStart) / 1_000_000,
+                    c.duration / 1_000_000
+                );
+                const meta = i === 0 ? snapshot.audioMeta : undefined;
+                await audioSource.add(packet, meta);
+            }
+        }
+
+        await output.finalize();
+
+        const blob = new Blob([target.buffer], { type: format.mimeType });
+        console.log(
+            `[ITR] Replay blob created: ${(blob.size / 1024 / 1024).toFixed(2)} MB`
+        );
+        return blob;
+    } catch (e) {
+        console.error("[ITR] Error creating replay blob:", e);
+        return null;
+    }
+}
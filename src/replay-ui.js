@@ -0,0 +1,929 @@
+import { CONFIG } from "./config.js";
+import { saveClip } from "./clips.js";
+import { isTypingTarget, formatTime, createButton } from "./utils.js";
+import { TrimBar } from "./trim-bar.js";
+import { PlaybackControls } from "./playback-controls.js";
+import { Filmstrip } from "./filmstrip.js";
+import { matchesHotkey, getHotkeys, formatBinding } from "./hotkeys.js";
+import {
+    getSnapshotDuration,
+    getKeyframeTimes,
+    getGapTimes,
+} from "./replay-muxer.js";
+
+// How long the "Ad break skipped" notice stays up once playback passes a gap
+const GAP_NOTICE_SECONDS = 3;
+// Room under the video for the toolbar, trim bar and playback controls when
+// sizing a Picture-in-Picture window for the first time
+const PIP_CONTROLS_HEIGHT = 120;
+
+export class ReplayUI {
+    // loadFullBuffer, when given, resolves to a { blob, snapshot } covering
+    // the whole buffer, for short replays and disk-backed buffers. muxRange
+    // (snapshot, range) resolves to a blob of part of a snapshot, muxed in
+    // the capture worker. markers exposes list(), exportMarker(id) and
+    // dismiss(id) for the moment markers held by the ring buffer. sourceVideo
+    // is the player being replayed, which is ducked while the replay plays,
+    // and playerContainer the element around it that the takeover layout
+    // covers
+    constructor(
+        onCleanup,
+        { sourceVideo, playerContainer, loadFullBuffer, muxRange, markers } = {}
+    ) {
+        this.onCleanup = onCleanup;
+        this.sourceVideo = sourceVideo || null;
+        this.playerContainer = playerContainer || null;
+        // "window" floats a draggable window over the page, "takeover" plays
+        // the replay over the player itself and "pip" in a Document
+        // Picture-in-Picture window outside the tab
+        this.layout =
+            (CONFIG.replayLayout === "takeover" && this.playerContainer) ||
+            (CONFIG.replayLayout === "pip" &&
+                "documentPictureInPicture" in window)
+                ? CONFIG.replayLayout
+                : "window";
+        this.pipWindow = null;
+        // Inline position of the player container before the takeover layout
+        // positioned it, null when it was left alone
+        this.previousContainerPosition = null;
+        this.loadFullBuffer = loadFullBuffer;
+        this.muxRange = muxRange;
+        this.markers = markers;
+        this.elements = {};
+        this.isDragging = false;
+        this.isResizing = false;
+        this.currentX = 0;
+        this.currentY = 0;
+        this.initialX = 0;
+        this.initialY = 0;
+        this.xOffset = 0;
+        this.yOffset = 0;
+        this.initialWidth = 0;
+        this.initialHeight = 0;
+        this.previousVolume = null;
+        this.previousMuted = null;
+        this.blob = null;
+        this.snapshot = null;
+        this.url = null;
+        this.trimBar = null;
+        this.playbackControls = null;
+        this.filmstrip = null;
+        this.isSaving = false;
+
+        this.handleFullscreenChange = this.handleFullscreenChange.bind(this);
+        this.handlePipClosed = this.handlePipClosed.bind(this);
+    }
+
+    async show(blob, snapshot) {
+        this.blob = blob;
+        this.snapshot = snapshot;
+
+        if (this.layout === "pip") {
+            await this.openPipWindow();
+        }
+
+        this.createElements();
+
+        if (this.layout === "takeover") {
+            this.applyTakeoverLayout();
+        } else if (this.layout === "pip") {
+            this.fillMount();
+        } else {
+            // Load and apply saved position and size
+            this.loadPositionAndSize();
+        }
+
+        const originalVideo = this.sourceVideo;
+        if (originalVideo) {
+            this.previousVolume = originalVideo.volume;
+            this.previousMuted = originalVideo.muted;
+        }
+
+        // Set the replay volume before the source is attached so playback
+        // never starts at the browser default volume
+        this.applyReplayVolume();
+
+        this.setupEventListeners();
+        // Only the floating window is dragged and resized in the page
+        if (this.layout === "window") {
+            this.setupResizeListeners();
+            this.setupDragListeners();
+        }
+        this.setSource(blob);
+        this.getMountPoint().appendChild(this.elements.wrapper);
+        if (this.layout !== "pip") {
+            document.addEventListener(
+                "fullscreenchange",
+                this.handleFullscreenChange
+            );
+        }
+
+        if (originalVideo) {
+            originalVideo.volume = CONFIG.volumeReduction;
+        }
+    }
+
+    // Where the wrapper lives: inside the player for the takeover layout,
+    // otherwise inside whatever is fullscreen, since nothing outside the
+    // fullscreen element is visible. A fullscreen <video> (the replay's own,
+    // or a bare player) cannot hold children, so the page is used then
+    getMountPoint() {
+        if (this.layout === "pip") {
+            return this.pipWindow.document.body;
+        }
+        if (this.layout === "takeover") {
+            return this.playerContainer;
+        }
+        const fullscreen = document.fullscreenElement;
+        if (fullscreen && !(fullscreen instanceof HTMLVideoElement)) {
+            return fullscreen;
+        }
+        return document.body;
+    }
+
+    // Follow the player into and out of fullscreen mid-replay. Moving the
+    // wrapper keeps the replay playing
+    handleFullscreenChange() {
+        const mount = this.getMountPoint();
+        if (this.elements.wrapper.parentElement === mount) return;
+
+        mount.appendChild(this.elements.wrapper);
+        if (this.layout === "window") {
+            this.keepInViewport();
+        }
+    }
+
+    // The document the replay window lives in, which takes its key presses
+    get hostDocument() {
+        return this.pipWindow?.document || document;
+    }
+
+    // Open the Picture-in-Picture window at the remembered size. The browser
+    // places it and does not let pages move it, so only the size is kept.
+    // Opening needs a user gesture; without one the replay stays in the page
+    async openPipWindow() {
+        const width = parseInt(CONFIG.defaultWrapperWidth) || 600;
+        const size = (CONFIG.useStorage && this.readSavedLayout().pip) || {
+            width,
+            height: Math.round((width * 9) / 16) + PIP_CONTROLS_HEIGHT,
+        };
+        try {
+            const pip = window.documentPictureInPicture;
+            this.pipWindow = await pip.requestWindow(size);
+        } catch (e) {
+            console.warn(
+                "[ITR] Could not open a Picture-in-Picture window, showing the replay in the page:",
+                e
+            );
+            this.layout = "window";
+            return;
+        }
+
+        Object.assign(this.pipWindow.document.body.style, {
+            margin: "0",
+            backgroundColor: "black",
+            fontFamily: getComputedStyle(document.body).fontFamily,
+        });
+        this.pipWindow.addEventListener("pagehide", this.handlePipClosed);
+    }
+
+    // Closing the Picture-in-Picture window closes the replay
+    handlePipClosed() {
+        if (this.pipWindow) {
+            this.cleanup();
+        }
+    }
+
+    // Cover the player, see fillMount()
+    applyTakeoverLayout() {
+        const container = this.playerContainer;
+        if (getComputedStyle(container).position === "static") {
+            // Restored in cleanup(), the player is Twitch's to lay out
+            this.previousContainerPosition = container.style.position;
+            container.style.position = "relative";
+        }
+        this.fillMount();
+    }
+
+    // Fill the mount point instead of floating over it: no dragging or
+    // resizing, the video takes whatever height the trim bar and controls
+    // leave
+    fillMount() {
+        Object.assign(this.elements.wrapper.style, {
+            position: "absolute",
+            inset: "0",
+            width: "auto",
+            height: "auto",
+            display: "flex",
+            flexDirection: "column",
+            transform: "none",
+            borderRadius: "0",
+            boxShadow: "none",
+        });
+        Object.assign(this.elements.video.style, {
+            flex: "1 1 0",
+            minHeight: "0",
+            objectFit: "contain",
+        });
+        this.elements.dragHandle.style.display = "none";
+        this.elements.resizeHandle.style.display = "none";
+    }
+
+    applyReplayVolume() {
+        if (CONFIG.replayVolumeMode === "stream") {
+            // Mirror whatever the stream was playing at before it got ducked
+            this.elements.video.volume =
+                this.previousVolume !== null ? this.previousVolume : 1;
+            this.elements.video.muted = this.previousMuted === true;
+        } else {
+            const volume = Number(CONFIG.replayVolume);
+            this.elements.video.volume = Number.isFinite(volume)
+                ? Math.min(1, Math.max(0, volume))
+                : 1;
+        }
+    }
+
+    createElements() {
+        // Create wrapper
+        this.elements.wrapper = document.createElement("div");
+        this.elements.wrapper.className = "itr-replay";
+        Object.assign(this.elements.wrapper.style, {
+            position: "fixed",
+            width: CONFIG.defaultWrapperWidth,
+            height: "auto",
+            zIndex: "1000",
+            backgroundColor: "black",
+            cursor: "default",
+            transform: "translate(0px, 0px)",
+            boxShadow: "0 4px 8px rgba(0, 0, 0, 0.2)",
+            borderRadius: `${CONFIG.roundedCorners}px`,
+            overflow: "hidden",
+        });
+
+        // Create drag handle
+        this.elements.dragHandle = document.createElement("div");
+        Object.assign(this.elements.dragHandle.style, {
+            position: "absolute",
+            top: "0",
+            left: "0",
+            right: "0",
+            height: "30px",
+            backgroundColor: "rgba(0, 0, 0, 0)",
+            cursor: "default",
+            zIndex: "1002",
+            transition: "background-color 0.2s ease",
+        });
+
+        // Create resize handle
+        this.elements.resizeHandle = document.createElement("div");
+        Object.assign(this.elements.resizeHandle.style, {
+            position: "absolute",
+            bottom: "0",
+            right: "0",
+            width: "20px",
+            height: "20px",
+            cursor: "nw-resize",
+            zIndex: "1001",
+            opacity: "0",
+            transition: "opacity 0.2s ease",
+            pointerEvents: "auto", // Ensure the div can receive mouse events
+        });
+
+        // Create resize icon
+        const resizeIcon = document.createElementNS(
+            "http://www.w3.org/2000/svg",
+            "svg"
+        );
+        Object.assign(resizeIcon.style, {
+            width: "100%",
+            height: "100%",
+            fill: "white",
+            pointerEvents: "none", // Make the SVG transparent to mouse events
+        });
+        resizeIcon.setAttribute("viewBox", "0 0 10 10");
+        resizeIcon.innerHTML = `
+            <polygon points="9,1 9,9 1,9" fill="rgba(255,255,255,0.5)" pointer-events="none"/>
+        `;
+        this.elements.resizeHandle.appendChild(resizeIcon);
+
+        // Add a class name for easier selection
+        this.elements.resizeHandle.className = "resize-handle";
+
+        // Create video element
+        this.elements.video = document.createElement("video");
+        Object.assign(this.elements.video, {
+            controls: true,
+            autoplay: true,
+            style: "width: 100%; height: auto;",
+        });
+
+        // Create close button
+        this.elements.closeButton = document.createElement("div");
+        Object.assign(this.elements.closeButton.style, {
+            position: "absolute",
+            top: "5px",
+            right: "10px",
+            fontSize: "24px",
+            color: "white",
+            cursor: "pointer",
+            zIndex: "1002",
+            opacity: "0",
+            transition: "opacity 0.2s ease",
+        });
+        this.elements.closeButton.innerHTML = "&times;";
+
+        // Create toolbar for the header buttons next to the close button
+        this.elements.toolbar = document.createElement("div");
+        Object.assign(this.elements.toolbar.style, {
+            position: "absolute",
+            top: "7px",
+            right: "40px",
+            display: "flex",
+            gap: "6px",
+            zIndex: "1002",
+            opacity: "0",
+            transition: "opacity 0.2s ease",
+        });
+
+        // Create save button
+        this.elements.saveButton = this.createToolbarButton(
+            "Save clip",
+            `Save clip (${formatBinding(getHotkeys(CONFIG.hotkeys).save)})`
+        );
+        this.elements.saveButton.style.backgroundColor =
+            "rgba(145, 71, 255, 0.9)";
+
+        // Create full buffer button, only offered when older footage is on disk
+        if (this.loadFullBuffer) {
+            this.elements.fullBufferButton = this.createToolbarButton(
+                "Full buffer",
+                "Load the whole buffer into the replay"
+            );
+            this.elements.toolbar.appendChild(this.elements.fullBufferButton);
+        }
+        this.elements.toolbar.appendChild(this.elements.saveButton);
+
+        // Add hover effects
+        this.elements.wrapper.addEventListener("mouseenter", () => {
+            this.elements.dragHandle.style.backgroundColor =
+                "rgba(0, 0, 0, 0.5)";
+            this.elements.dragHandle.style.cursor = "move";
+            this.elements.closeButton.style.opacity = "1";
+            this.elements.toolbar.style.opacity = "1";
+            this.elements.resizeHandle.style.opacity = "1";
+        });
+
+        this.elements.wrapper.addEventListener("mouseleave", () => {
+            if (!this.isDragging && !this.isResizing) {
+                this.elements.dragHandle.style.backgroundColor =
+                    "rgba(0, 0, 0, 0)";
+                this.elements.dragHandle.style.cursor = "default";
+                this.elements.closeButton.style.opacity = "0";
+                this.elements.toolbar.style.opacity = "0";
+                this.elements.resizeHandle.style.opacity = "0";
+            }
+        });
+
+        // Notice shown over the video where an ad break was cut out
+        this.elements.gapNotice = document.createElement("div");
+        Object.assign(this.elements.gapNotice.style, {
+            position: "absolute",
+            top: "40px",
+            left: "10px",
+            padding: "3px 8px",
+            fontSize: "12px",
+            color: "white",
+            backgroundColor: "rgba(0, 0, 0, 0.7)",
+            borderRadius: "4px",
+            pointerEvents: "none",
+            zIndex: "1001",
+            display: "none",
+        });
+
+        this.elements.wrapper.appendChild(this.elements.dragHandle);
+        this.elements.wrapper.appendChild(this.elements.video);
+        this.elements.wrapper.appendChild(this.elements.gapNotice);
+        this.playbackControls = new PlaybackControls(this.elements.video, {
+            loop: CONFIG.loopReplay,
+            onLoopChange: (loop) => this.trimBar?.setLoop(loop),
+        });
+        this.elements.wrapper.appendChild(this.playbackControls.element);
+        this.createTrimBar();
+        this.createFilmstrip();
+        this.elements.wrapper.appendChild(this.elements.closeButton);
+        this.elements.wrapper.appendChild(this.elements.toolbar);
+        this.elements.wrapper.appendChild(this.elements.resizeHandle);
+    }
+
+    createToolbarButton(text, title) {
+        return createButton(text, title, {
+            padding: "2px 8px",
+            fontSize: "12px",
+            fontWeight: "600",
+            backgroundColor: "rgba(255, 255, 255, 0.2)",
+            borderRadius: "4px",
+        });
+    }
+
+    // (Re)build the trim bar for the current snapshot, right under the video
+    createTrimBar() {
+        this.trimBar?.destroy();
+        this.trimBar?.element.remove();
+        this.trimBar = null;
+        if (!this.snapshot) return;
+
+        this.trimBar = new TrimBar(
+            this.elements.video,
+            getSnapshotDuration(this.snapshot),
+            getKeyframeTimes(this.snapshot),
+            (range) => {
+                this.elements.saveButton.textContent = range
+                    ? "Save selection"
+                    : "Save clip";
+            }
+        );
+        this.elements.video.after(this.trimBar.element);
+        this.trimBar.setGaps(getGapTimes(this.snapshot));
+        this.renderMarkers();
+    }
+
+    // Show the notice for a few seconds after each ad break in the replay
+    updateGapNotice() {
+        const time = this.elements.video.currentTime;
+        const gap = this.snapshot
+            ? getGapTimes(this.snapshot).find(
+                  (g) => time >= g.time && time < g.time + GAP_NOTICE_SECONDS
+              )
+            : null;
+
+        this.elements.gapNotice.style.display = gap ? "" : "none";
+        if (gap) {
+            this.elements.gapNotice.textContent = `Ad break skipped (${formatTime(
+                gap.duration
+            )})`;
+        }
+    }
+
+    // (Re)build the keyframe filmstrip for the current snapshot, between the
+    // video and the trim bar
+    createFilmstrip() {
+        this.filmstrip?.destroy();
+        this.filmstrip?.element.remove();
+        this.filmstrip = null;
+        if (!this.snapshot) return;
+
+        this.filmstrip = new Filmstrip(
+            this.elements.video,
+            this.snapshot,
+            getSnapshotDuration(this.snapshot)
+        );
+        this.elements.video.after(this.filmstrip.element);
+    }
+
+    // Marker ticks on the trim bar plus a row to export or dismiss each one
+    renderMarkers() {
+        if (!this.markers) return;
+
+        const markers = this.markers.list();
+        const base = this.snapshot ? this.snapshot.baseTimestamp : 0;
+        this.trimBar?.setMarkers(
+            markers.map((m) => ({
+                id: m.id,
+                time: (m.timestamp - base) / 1_000_000,
+            }))
+        );
+
+        this.elements.markerList?.remove();
+        if (markers.length === 0) return;
+
+        const list = document.createElement("div");
+        Object.assign(list.style, {
+            display: "flex",
+            flexWrap: "wrap",
+            gap: "6px",
+            padding: "0 26px 8px 10px",
+            backgroundColor: "#18181b",
+            color: "white",
+            fontSize: "11px",
+        });
+
+        for (const marker of markers) {
+            const item = document.createElement("span");
+            Object.assign(item.style, {
+                display: "flex",
+                alignItems: "center",
+                gap: "4px",
+                padding: "2px 6px",
+                backgroundColor: "rgba(255, 211, 122, 0.2)",
+                borderRadius: "3px",
+            });
+
+            const label = document.createElement("span");
+            const age = Math.round((Date.now() - marker.createdAt) / 1000);
+            label.textContent = `Marker ${marker.id} · ${age}s ago`;
+
+            const exportButton = this.createToolbarButton(
+                "Export",
+                "Save the marked moment as a clip"
+            );
+            exportButton.style.fontSize = "11px";
+            exportButton.addEventListener("click", async () => {
+                exportButton.textContent = "Saving...";
+                try {
+                    await this.markers.exportMarker(marker.id);
+                    this.renderMarkers();
+                } catch (e) {
+                    console.error("[ITR] Failed to export marker:", e);
+                    exportButton.textContent = "Failed";
+                }
+            });
+
+            const dismissButton = this.createToolbarButton(
+                "×",
+                "Dismiss marker"
+            );
+            dismissButton.style.fontSize = "11px";
+            dismissButton.addEventListener("click", () => {
+                this.markers.dismiss(marker.id);
+                this.renderMarkers();
+            });
+
+            item.appendChild(label);
+            item.appendChild(exportButton);
+            item.appendChild(dismissButton);
+            list.appendChild(item);
+        }
+
+        this.elements.markerList = list;
+        this.playbackControls.element.after(list);
+    }
+
+    setupResizeListeners() {
+        const startResize = (e) => {
+            console.log(e);
+            this.isResizing = true;
+            this.initialWidth = this.elements.wrapper.offsetWidth;
+            this.initialHeight = this.elements.wrapper.offsetHeight;
+            this.initialX = e.clientX;
+            this.initialY = e.clientY;
+            // Store the initial position
+            const rect = this.elements.wrapper.getBoundingClientRect();
+            this.initialTop = rect.top;
+            this.initialLeft = rect.left;
+        };
+
+        // Kept on the instance so cleanup() can remove them from the document
+        this.stopResize = () => {
+            this.isResizing = false;
+            this.savePositionAndSize();
+            if (!this.elements.wrapper.matches(":hover")) {
+                this.elements.resizeHandle.style.opacity = "0";
+            }
+        };
+
+        this.resize = (e) => {
+            if (!this.isResizing) return;
+
+            e.preventDefault();
+
+            const deltaX = e.clientX - this.initialX;
+            const deltaY = e.clientY - this.initialY;
+
+            // Calculate new width while maintaining minimum size
+            const newWidth = Math.max(300, this.initialWidth + deltaX);
+
+            // Set the new width and let height adjust automatically
+            // since we're using 'height: auto' in the wrapper style
+            const viewportWidth = window.innerWidth;
+            const viewportHeight = window.innerHeight;
+
+            // Check if new size would exceed viewport bounds
+            if (this.initialLeft + newWidth <= viewportWidth) {
+                this.elements.wrapper.style.width = `${newWidth}px`;
+            }
+        };
+
+        this.elements.resizeHandle.addEventListener("mousedown", startResize);
+        document.addEventListener("mousemove", this.resize);
+        document.addEventListener("mouseup", this.stopResize);
+    }
+
+    setupDragListeners() {
+        const dragStart = (e) => {
+            if (e.type === "touchstart") {
+                this.initialX = e.touches[0].clientX - this.xOffset;
+                this.initialY = e.touches[0].clientY - this.yOffset;
+            } else {
+                this.initialX = e.clientX - this.xOffset;
+                this.initialY = e.clientY - this.yOffset;
+            }
+            if (e.target === this.elements.dragHandle) {
+                this.isDragging = true;
+                this.elements.dragHandle.style.backgroundColor =
+                    "rgba(0, 0, 0, 0.7)";
+                // Remove transition during drag
+                this.elements.wrapper.style.transition = "none";
+            }
+        };
+
+        this.dragEnd = () => {
+            this.isDragging = false;
+            if (!this.elements.wrapper.matches(":hover")) {
+                this.elements.dragHandle.style.backgroundColor =
+                    "rgba(0, 0, 0, 0)";
+                this.elements.dragHandle.style.cursor = "default";
+            }
+
+            // Add smooth transition for bounce back
+            this.elements.wrapper.style.transition = "transform 0.3s ease-out";
+            this.keepInViewport();
+
+            this.savePositionAndSize();
+        };
+
+        this.drag = (e) => {
+            if (!this.isDragging) return;
+            e.preventDefault();
+
+            if (e.type === "touchmove") {
+                this.currentX = e.touches[0].clientX - this.initialX;
+                this.currentY = e.touches[0].clientY - this.initialY;
+            } else {
+                this.currentX = e.clientX - this.initialX;
+                this.currentY = e.clientY - this.initialY;
+            }
+
+            this.xOffset = this.currentX;
+            this.yOffset = this.currentY;
+
+            this.elements.wrapper.style.transform = `translate(${this.currentX}px, ${this.currentY}px)`;
+        };
+
+        // Mouse events
+        this.elements.dragHandle.addEventListener("mousedown", dragStart);
+        document.addEventListener("mousemove", this.drag);
+        document.addEventListener("mouseup", this.dragEnd);
+
+        // Touch events
+        this.elements.dragHandle.addEventListener("touchstart", dragStart);
+        document.addEventListener("touchmove", this.drag);
+        document.addEventListener("touchend", this.dragEnd);
+    }
+
+    // Bounce the window back inside the viewport, which shrinks or grows when
+    // the page enters or leaves fullscreen
+    keepInViewport() {
+        // Get viewport and element dimensions
+        const viewportWidth = window.innerWidth;
+        const viewportHeight = window.innerHeight;
+        const rect = this.elements.wrapper.getBoundingClientRect();
+
+        // Calculate constrained position
+        let newX = this.currentX;
+        let newY = this.currentY;
+
+        // Constrain to viewport bounds
+        if (rect.left < 0) newX -= rect.left;
+        if (rect.right > viewportWidth) newX -= rect.right - viewportWidth;
+        if (rect.top < 0) newY -= rect.top;
+        if (rect.bottom > viewportHeight) newY -= rect.bottom - viewportHeight;
+
+        // Apply bounce back if needed
+        if (newX !== this.currentX || newY !== this.currentY) {
+            this.currentX = newX;
+            this.currentY = newY;
+            this.xOffset = newX;
+            this.yOffset = newY;
+
+            this.elements.wrapper.style.transform = `translate(${this.currentX}px, ${this.currentY}px)`;
+        }
+    }
+
+    setSource(blob) {
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+        }
+        this.url = URL.createObjectURL(blob);
+        this.elements.video.src = this.url;
+        // Loop points refer to the previous source's timeline
+        this.playbackControls.clearLoop();
+    }
+
+    setupEventListeners() {
+        const cleanup = () => this.cleanup();
+
+        this.elements.closeButton.addEventListener("click", cleanup);
+        this.elements.saveButton.addEventListener("click", () =>
+            this.save()
+        );
+        this.elements.fullBufferButton?.addEventListener("click", () =>
+            this.showFullBuffer()
+        );
+        this.elements.video.addEventListener("timeupdate", () =>
+            this.updateGapNotice()
+        );
+        this.elements.video.addEventListener("ended", () => {
+            if (this.playbackControls.handleEnded()) return;
+            if (CONFIG.autoClose) {
+                cleanup();
+            }
+        });
+        this.elements.video.addEventListener("error", (e) => {
+            console.error("[ITR] Replay video error:", e);
+            alert("Replay failed due to encoding issues.");
+            cleanup();
+        });
+
+        this.keyHandler = (e) => {
+            if (isTypingTarget(e.target)) {
+                // Escape still closes the window from a focused input
+                if (e.key === "Escape") cleanup();
+                return;
+            }
+            if (matchesHotkey(e, CONFIG.hotkeys, "close")) {
+                cleanup();
+                return;
+            }
+            if (matchesHotkey(e, CONFIG.hotkeys, "save")) {
+                e.preventDefault();
+                this.save();
+                return;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+            const key = e.key.toLowerCase();
+            if (this.trimBar && key === "i") {
+                this.trimBar.setIn(this.elements.video.currentTime);
+            } else if (this.trimBar && key === "o") {
+                this.trimBar.setOut(this.elements.video.currentTime);
+            } else if (this.trimBar && key === "p") {
+                this.trimBar.preview();
+            } else if (key === ",") {
+                this.playbackControls.step(-1);
+            } else if (key === ".") {
+                this.playbackControls.step(1);
+            }
+        };
+        this.hostDocument.addEventListener("keydown", this.keyHandler);
+    }
+
+    // Swap the replay for one stitched from the whole disk buffer
+    async showFullBuffer() {
+        const button = this.elements.fullBufferButton;
+        if (button.dataset.loading) return;
+
+        button.dataset.loading = "true";
+        button.textContent = "Loading...";
+        try {
+            const replay = await this.loadFullBuffer();
+            if (!replay) {
+                throw new Error("No replay data");
+            }
+            this.blob = replay.blob;
+            this.snapshot = replay.snapshot;
+            this.setSource(replay.blob);
+            this.createTrimBar();
+            this.createFilmstrip();
+            this.elements.saveButton.textContent = "Save clip";
+            button.remove();
+        } catch (e) {
+            console.error("[ITR] Failed to load the full buffer:", e);
+            button.textContent = "Full buffer";
+            delete button.dataset.loading;
+        }
+    }
+
+    async save() {
+        if (this.isSaving || !this.blob) return;
+
+        this.isSaving = true;
+        const button = this.elements.saveButton;
+        button.textContent = "Saving...";
+
+        try {
+            // Re-mux only the selected range from the encoded chunks
+            const range = this.trimBar?.getRange();
+            const blob = range
+                ? await this.muxRange(this.snapshot, range)
+                : this.blob;
+            if (!blob) {
+                throw new Error("Could not mux the selected range");
+            }
+            await saveClip(blob);
+            button.textContent = "Saved";
+        } catch (e) {
+            console.error("[ITR] Failed to save clip:", e);
+            button.textContent = "Save failed";
+        } finally {
+            this.isSaving = false;
+            setTimeout(() => {
+                button.textContent = this.trimBar?.getRange()
+                    ? "Save selection"
+                    : "Save clip";
+            }, 2000);
+        }
+    }
+
+    // Saved position and size of the in-page window ({ x, y, width }) and the
+    // size of the Picture-in-Picture window ({ pip: { width, height } })
+    readSavedLayout() {
+        const saved = localStorage.getItem(CONFIG.storageKey);
+        if (!saved) return {};
+        try {
+            return JSON.parse(saved);
+        } catch (e) {
+            console.error("[ITR] Failed to parse saved position and size:", e);
+            return {};
+        }
+    }
+
+    loadPositionAndSize() {
+        const saved = CONFIG.useStorage ? this.readSavedLayout() : {};
+        if (saved.width) {
+            const { x, y, width } = saved;
+            this.currentX = x;
+            this.currentY = y;
+            this.xOffset = x;
+            this.yOffset = y;
+            this.elements.wrapper.style.transform = `translate(${x}px, ${y}px)`;
+            this.elements.wrapper.style.width = width;
+        } else {
+            // If no saved position, set default position (10px from bottom-right)
+            setTimeout(() => {
+                const wrapper = this.elements.wrapper;
+                const rect = wrapper.getBoundingClientRect();
+                const top = window.innerHeight - rect.height - 10; // 10px from bottom
+                const left =
+                    window.innerWidth -
+                    parseInt(CONFIG.defaultWrapperWidth) -
+                    10; // 10px from right
+                this.currentX = left;
+                this.currentY = top;
+                this.xOffset = left;
+                this.yOffset = top;
+                this.elements.wrapper.style.transform = `translate(${left}px, ${top}px)`;
+            }, 50);
+        }
+    }
+
+    savePositionAndSize() {
+        // The takeover layout takes the player's size, nothing to remember
+        if (!CONFIG.useStorage || this.layout === "takeover") return;
+        const data = this.readSavedLayout();
+
+        if (this.layout === "pip") {
+            // The window is gone once the replay has closed
+            if (!this.pipWindow) return;
+            data.pip = {
+                width: this.pipWindow.innerWidth,
+                height: this.pipWindow.innerHeight,
+            };
+        } else {
+            data.x = this.currentX;
+            data.y = this.currentY;
+            data.width =
+                this.elements.wrapper.style.width || CONFIG.defaultWrapperWidth;
+        }
+        localStorage.setItem(CONFIG.storageKey, JSON.stringify(data));
+        console.log("[ITR] Saved Replay UI position and size:", data);
+    }
+
+    cleanup() {
+        // Remove event listeners
+        document.removeEventListener("mousemove", this.resize);
+        document.removeEventListener("mouseup", this.stopResize);
+        document.removeEventListener("mousemove", this.drag);
+        document.removeEventListener("mouseup", this.dragEnd);
+        document.removeEventListener("touchmove", this.drag);
+        document.removeEventListener("touchend", this.dragEnd);
+        this.hostDocument.removeEventListener("keydown", this.keyHandler);
+        document.removeEventListener(
+            "fullscreenchange",
+            this.handleFullscreenChange
+        );
+        this.trimBar?.destroy();
+        this.playbackControls?.destroy();
+        this.filmstrip?.destroy();
+
+        this.elements.wrapper.remove();
+        if (this.previousContainerPosition !== null) {
+            this.playerContainer.style.position =
+                this.previousContainerPosition;
+            this.previousContainerPosition = null;
+        }
+        if (this.pipWindow) {
+            const pipWindow = this.pipWindow;
+            this.savePositionAndSize();
+            this.pipWindow = null;
+            pipWindow.close();
+        }
+        URL.revokeObjectURL(this.url);
+
+        const originalVideo = this.sourceVideo;
+        if (originalVideo && this.previousVolume !== null) {
+            originalVideo.volume = this.previousVolume;
+        }
+
+        this.onCleanup();
+    }
+}
@@ -0,0 +1,295 @@
+const WORKER_SCRIPT = "capture-worker.bundle.js";
+// How long a stopping worker gets to clear its disk buffer before it is
+// terminated regardless
+const STOP_TIMEOUT = 5000;
+
+// Until the worker reports, the buffer is empty
+const EMPTY_STATS = {
+    bytes: 0,
+    videoBytes: 0,
+    audioBytes: 0,
+    seconds: 0,
+    videoChunks: 0,
+    audioChunks: 0,
+    maxSeconds: 0,
+    maxBytes: null,
+    disk: null,
+    paused: false,
+    syncOffsetMs: 0,
+    pipeline: null,
+};
+
+// A worker has to come from the page's origin, so it is started from a blob:
+// stub that pulls in the extension's bundle (a web accessible resource)
+function createCaptureWorker() {
+    const scriptUrl = chrome.runtime.getURL(WORKER_SCRIPT);
+    const stub = new Blob([`importScripts(${JSON.stringify(scriptUrl)});`], {
+        type: "text/javascript",
+    });
+    const stubUrl = URL.createObjectURL(stub);
+    return { worker: new Worker(stubUrl), stubUrl };
+}
+
+// Capture the player's tracks. Audio is downmixed to stereo on the page,
+// since AudioContext is not available in workers
+function captureTracks(videoElement) {
+    let stream = null;
+    if (videoElement.captureStream) {
+        stream = videoElement.captureStream();
+    } else if (videoElement.mozCaptureStream) {
+        stream = videoElement.mozCaptureStream();
+    }
+
+    if (!stream) {
+        console.error("[ITR] captureStream() not supported");
+        return null;
+    }
+
+    const videoTrack = stream.getVideoTracks()[0];
+    const audioTrack = stream.getAudioTracks()[0];
+
+    if (!videoTrack) {
+        console.error("[ITR] No video track in captured stream");
+        return null;
+    }
+
+    if (!audioTrack) {
+        return { videoTrack, audioTrack: null, audioContext: null };
+    }
+
+    // Downmix multi-channel audio to stereo using AudioContext
+    const audioCtx = new AudioContext({ sampleRate: 48000 });
+    const source = audioCtx.createMediaStreamSource(
+        new MediaStream([audioTrack])
+    );
+    // Force downmix to stereo
+    const gainNode = audioCtx.createGain();
+    gainNode.channelCount = 2;
+    gainNode.channelCountMode = "explicit";
+    gainNode.channelInterpretation = "speakers";
+    source.connect(gainNode);
+    const dest = audioCtx.createMediaStreamDestination();
+    gainNode.connect(dest);
+
+    console.log(
+        `[ITR] Audio downmixed to stereo (original channels: ${audioTrack.getSettings().channelCount || "unknown"})`
+    );
+    return {
+        videoTrack,
+        audioTrack: dest.stream.getAudioTracks()[0],
+        audioContext: audioCtx,
+    };
+}
+
+/**
+ * Page-side stand-in for a WebCodecsRingBuffer running in the capture worker
+ * (see capture-worker.js). It captures the player, transfers the frame
+ * streams to the worker and forwards every call as a message. Stats, markers
+ * and the disk state are pushed by the worker each second and cached, so the
+ * status badge and the popup read them without a round trip.
+ */
+export class RingBufferProxy {
+    constructor(maxSeconds = 30, videoBitrate = null, options = {}) {
+        this.bufferArgs = [maxSeconds, videoBitrate, options];
+        this.worker = null;
+        this.stubUrl = null;
+        this.tracks = null;
+        // Requests awaiting an answer: id -> { resolve, reject }
+        this.pending = new Map();
+        this.nextRequestId = 1;
+
+        this.format = null;
+        this.stats = EMPTY_STATS;
+        this.markers = [];
+        this.diskData = false;
+
+        this.running = false;
+        this.paused = false;
+    }
+
+    async start(videoElement) {
+        this.tracks = captureTracks(videoElement);
+        if (!this.tracks) return false;
+
+        const { videoTrack, audioTrack, audioContext } = this.tracks;
+        const videoStream = new MediaStreamTrackProcessor({
+            track: videoTrack,
+        }).readable;
+        const audioStream = audioTrack
+            ? new MediaStreamTrackProcessor({ track: audioTrack }).readable
+            : null;
+
+        try {
+            const { worker, stubUrl } = createCaptureWorker();
+            this.worker = worker;
+            this.stubUrl = stubUrl;
+        } catch (e) {
+            console.error("[ITR] Could not start the capture worker:", e);
+            this.stop();
+            return false;
+        }
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            console.error("[ITR] Capture worker error:", e.message);
+            // A crashed worker would not answer "stop"
+            this.worker.terminate();
+            this.worker = null;
+            this.stop();
+        };
+
+        const sources = {
+            videoStream,
+            audioStream,
+            width: videoElement.videoWidth,
+            height: videoElement.videoHeight,
+            audioLatency: (audioContext?.baseLatency || 0) * 1_000_000,
+        };
+        let started = null;
+        try {
+            started = await this.call(
+                "start",
+                [this.bufferArgs, sources],
+                [videoStream, audioStream].filter(Boolean)
+            );
+        } catch (e) {
+            console.error("[ITR] Capture worker failed to start:", e);
+        }
+        if (!started) {
+            this.stop();
+            return false;
+        }
+
+        this.format = started.format;
+        this.stats = started.stats;
+        this.running = true;
+        return true;
+    }
+
+    call(method, args = [], transfer = []) {
+        if (!this.worker) {
+            return Promise.reject(new Error("Capture worker is not running"));
+        }
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, method, args }, transfer);
+        });
+    }
+
+    handleMessage(data) {
+        if (data.type === "stats") {
+            this.stats = data.stats;
+            this.markers = data.markers;
+            this.diskData = data.hasDiskData;
+            return;
+        }
+
+        const request = this.pending.get(data.id);
+        if (!request) return;
+        this.pending.delete(data.id);
+        if (data.error) {
+            request.reject(new Error(data.error));
+        } else {
+            request.resolve(data.result);
+        }
+    }
+
+    getStats() {
+        return this.stats;
+    }
+
+    hasData() {
+        return this.stats.videoChunks > 0;
+    }
+
+    hasDiskData() {
+        return this.diskData;
+    }
+
+    pause() {
+        this.paused = true;
+        this.stats = { ...this.stats, paused: true };
+        this.call("pause").catch(() => {});
+    }
+
+    resume() {
+        this.paused = false;
+        this.stats = { ...this.stats, paused: false };
+        this.call("resume").catch(() => {});
+    }
+
+    async addMarker() {
+        const marker = await this.call("addMarker");
+        this.markers = [...this.markers, marker];
+        return marker;
+    }
+
+    getMarkers() {
+        return this.markers;
+    }
+
+    dismissMarker(id) {
+        this.markers = this.markers.filter((m) => m.id !== id);
+        this.call("dismissMarker", [id]).catch(() => {});
+    }
+
+    // Blob of the marker's window, or null once nothing is held for it
+    exportMarker(id) {
+        return this.call("exportMarker", [id]);
+    }
+
+    /**
+     * Mux a replay in the worker. Resolves to { blob, snapshot } where the
+     * snapshot carries the timing of every chunk but data only for keyframes;
+     * trimmed ranges of it are muxed with muxRange() until releaseReplays().
+     */
+    replay(options) {
+        return this.call("replay", [options]);
+    }
+
+    // Blob of the buffer without keeping a snapshot for trimming
+    clip(options) {
+        return this.call("clip", [options]);
+    }
+
+    muxRange(snapshotId, range) {
+        return this.call("muxRange", [snapshotId, range]);
+    }
+
+    releaseReplays() {
+        this.call("releaseReplays").catch(() => {});
+    }
+
+    stop() {
+        this.running = false;
+
+        for (const { reject } of this.pending.values()) {
+            reject(new Error("Capture worker stopped"));
+        }
+        this.pending.clear();
+
+        // The worker clears the disk buffer and then closes itself; it is
+        // terminated once it answers, or after STOP_TIMEOUT if it hung
+        const worker = this.worker;
+        if (worker) {
+            const timeout = new Promise((resolve) =>
+                setTimeout(resolve, STOP_TIMEOUT)
+            );
+            Promise.race([this.call("stop"), timeout])
+                .catch(() => {})
+                .finally(() => worker.terminate());
+            this.worker = null;
+        }
+
+        if (this.tracks) {
+            this.tracks.videoTrack.stop();
+            this.tracks.audioTrack?.stop();
+            this.tracks.audioContext?.close().catch(() => {});
+            this.tracks = null;
+        }
+        if (this.stubUrl) {
+            URL.revokeObjectURL(this.stubUrl);
+            this.stubUrl = null;
+        }
+    }
+}
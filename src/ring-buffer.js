@@ -1,63 +1,184 @@
+import { muxReplay } from "./replay-muxer.js";
+import { negotiateFormat } from "./codecs.js";
+import { SegmentStore } from "./segment-store.js";
+import { MediaClock } from "./media-clock.js";
 import {
-    Output,
-    WebMOutputFormat,
-    BufferTarget,
-    EncodedVideoPacketSource,
-    EncodedAudioPacketSource,
-    EncodedPacket,
-} from "mediabunny";
+    FrameScaler,
+    getCaptureSize,
+    getDefaultBitrate,
+} from "./frame-scaler.js";
+
+// Spilled GOPs are written to disk in segments of roughly this length
+const SEGMENT_SECONDS = 10;
+
+// Frames waiting in the video encoder beyond this (about a second at 30 fps)
+// are dropped instead of queued, so a struggling encoder cannot pile up
+// frames in memory
+const MAX_ENCODE_QUEUE = 30;
+
+// Chunks read back from disk that come before `first`, the oldest chunk
+// still held in memory, once each
+function olderThan(chunks, first) {
+    const cutoff = first ? first.timestamp : Infinity;
+    const seen = new Set();
+    return chunks.filter((c) => {
+        if (c.timestamp >= cutoff || seen.has(c.timestamp)) return false;
+        seen.add(c.timestamp);
+        return true;
+    });
+}
 
 export class WebCodecsRingBuffer {
-    constructor(maxSeconds = 30, videoBitrate = 2_500_000) {
+    constructor(maxSeconds = 30, videoBitrate = null, options = {}) {
         this.maxSeconds = maxSeconds;
+        // null picks a default that scales with the capture resolution
         this.videoBitrate = videoBitrate;
-
-        this.videoChunks = []; // { data, timestamp, duration, isKey }
-        this.audioChunks = []; // { data, timestamp, duration, isKey }
+        // { outputFormat, videoCodec, captureResolution, maxBytes,
+        // diskSeconds } as chosen in the popup
+        this.options = options;
+        // Memory budget enforced alongside maxSeconds, whichever is stricter
+        this.maxBytes = options.maxBytes || Infinity;
+        // Total length of the disk-backed buffer. GOPs trimmed from memory are
+        // spilled to IndexedDB until they are this old
+        this.diskSeconds = options.diskSeconds || 0;
+        this.segmentStore = null;
+        this.spillVideo = [];
+        this.spillAudio = [];
+        // Serialises disk writes so segments land in order
+        this.diskQueue = Promise.resolve();
+        // Negotiated container, codecs and encoder configs (see codecs.js)
+        this.format = null;
+
+        this.videoChunks = []; // { data, timestamp, duration, isKey, lag }
+        this.audioChunks = []; // { data, timestamp, duration, isKey, lag }
+        // Running totals of data.byteLength held in each array
+        this.videoBytes = 0;
+        this.audioBytes = 0;
 
         this.videoEncoder = null;
         this.audioEncoder = null;
         this.videoReader = null;
         this.audioReader = null;
 
+        this.sourceWidth = 0;
+        this.sourceHeight = 0;
+        // Encoded size, smaller than the source when downscaling
         this.videoWidth = 0;
         this.videoHeight = 0;
+        // Created on the first frame that does not match the encoded size
+        this.scaler = null;
+        this.resolutionChanges = 0;
         this.sampleRate = 0;
         this.numberOfChannels = 0;
+        // Delay the page's audio downmix adds, in microseconds
+        this.audioLatency = 0;
 
         // Store decoder config metadata from first encoded chunk
         this.firstVideoMeta = null;
         this.firstAudioMeta = null;
 
+        // Moment markers: { id, timestamp, createdAt, videoChunks,
+        // audioChunks }. Chunks within markerPadding of a marker are copied
+        // out of the ring as they are trimmed, so the marked moment survives
+        // until it is exported, dismissed or markerHoldSeconds pass
+        this.markers = [];
+        this.nextMarkerId = 1;
+        this.markerPadding = options.markerPadding || 10;
+        this.markerHoldSeconds = options.markerHoldSeconds || 300;
+
+        // Ad breaks cut out of the timeline: { timestamp, duration }, with
+        // the timestamp where the stream picks up again and the skipped
+        // duration in seconds. While paused no frames are encoded, and on
+        // resume the paused time is added to timelineOffset so the footage
+        // either side of the ad joins up instead of leaving a frozen stretch
+        this.gaps = [];
+        this.timelineOffset = 0;
+        this.pausedAt = null;
+        // Start the footage after a gap on a keyframe
+        this.forceKeyFrame = false;
+
+        // Chunk timestamps come from the frames' own media timestamps, placed
+        // on the timeline by one clock per track (see media-clock.js)
+        this.videoClock = new MediaClock();
+        this.audioClock = new MediaClock();
+        this.lastVideoTimestamp = -Infinity;
+        this.lastAudioTimestamp = -Infinity;
+
+        // Pipeline counters for the diagnostics overlay, with the per-second
+        // rates recomputed at most once a second from the last sample
+        this.framesEncoded = 0;
+        this.framesDropped = 0;
+        this.rateSample = { time: 0, encoded: 0, dropped: 0 };
+        this.rates = { encoded: 0, dropped: 0 };
+
         this.running = false;
         this.paused = false;
     }
 
-    async start(videoElement) {
-        let stream = null;
-        if (videoElement.captureStream) {
-            stream = videoElement.captureStream();
-        } else if (videoElement.mozCaptureStream) {
-            stream = videoElement.mozCaptureStream();
-        }
+    // Position on the buffer timeline in microseconds: wall-clock time since
+    // start with the ad breaks taken out. Time stands still while paused, so
+    // a marker set during an ad lands where the gap is closed up
+    _now() {
+        const now = this.paused ? this.pausedAt : performance.now();
+        return (now - this.startTime) * 1000 - this.timelineOffset;
+    }
 
-        if (!stream) {
-            console.error("[ITR] captureStream() not supported");
+    // Runs in the capture worker (see capture-worker.js). The page captures
+    // the player and hands over the frames as readable streams of VideoFrame
+    // and AudioData, along with the player's size and the latency of the
+    // audio downmix in microseconds. `audioStream` is null for players
+    // without audio
+    async start({ videoStream, audioStream, width, height, audioLatency }) {
+        this.sourceWidth = width;
+        this.sourceHeight = height;
+        this.audioLatency = audioLatency || 0;
+        const captureSize = getCaptureSize(
+            this.sourceWidth,
+            this.sourceHeight,
+            this.options.captureResolution
+        );
+        if (!captureSize) {
+            console.warn("[ITR] Player has no video size yet, not starting");
             return false;
         }
+        this.videoWidth = captureSize.width;
+        this.videoHeight = captureSize.height;
+        if (!this.videoBitrate) {
+            this.videoBitrate = getDefaultBitrate(
+                this.videoWidth,
+                this.videoHeight
+            );
+        }
+        if (this.videoWidth !== width || this.videoHeight !== height) {
+            console.log(
+                `[ITR] Scaling ${width}x${height} to ${this.videoWidth}x${this.videoHeight} before encoding`
+            );
+        }
 
-        const videoTrack = stream.getVideoTracks()[0];
-        const audioTrack = stream.getAudioTracks()[0];
+        this.format = await negotiateFormat(this.options, {
+            width: this.videoWidth,
+            height: this.videoHeight,
+            bitrate: this.videoBitrate,
+        });
 
-        if (!videoTrack) {
-            console.error("[ITR] No video track in captured stream");
-            return false;
+        if (this.diskSeconds > this.maxSeconds) {
+            try {
+                const store = new SegmentStore();
+                await store.open();
+                this.segmentStore = store;
+                console.log(
+                    `[ITR] Disk buffer enabled: ${this.diskSeconds}s, ${this.maxSeconds}s kept in memory`
+                );
+            } catch (e) {
+                console.error(
+                    "[ITR] Could not open disk buffer, keeping memory only:",
+                    e
+                );
+            }
         }
 
-        this.videoWidth = videoElement.videoWidth;
-        this.videoHeight = videoElement.videoHeight;
         this.running = true;
-        // Shared wall-clock reference so audio and video timestamps are comparable
+        // Shared wall-clock reference the two media clocks are anchored to
         this.startTime = performance.now();
 
         // Setup video encoder
@@ -70,35 +191,38 @@ export class WebCodecsRingBuffer {
                     this.firstVideoMeta = meta;
                 }
 
-                // Use wall-clock time (microseconds) as shared timeline
-                const wallTimestamp =
-                    (performance.now() - this.startTime) * 1000;
+                // The chunk keeps its frame's media timestamp, so a backed up
+                // encoder queue does not shift it. Kept strictly increasing
+                // for the muxer in case a resync moved the clock back
+                const timestamp = Math.max(
+                    this.videoClock.toTimeline(chunk.timestamp),
+                    this.lastVideoTimestamp + 1
+                );
+                this.lastVideoTimestamp = timestamp;
+                this.framesEncoded++;
 
+                this.videoBytes += buf.byteLength;
                 this.videoChunks.push({
                     data: buf,
-                    timestamp: wallTimestamp,
+                    timestamp,
                     duration: chunk.duration,
                     isKey: chunk.type === "key",
+                    lag: this.videoClock.lag,
                 });
                 this._trimVideo();
             },
             error: (e) => console.error("[ITR] VideoEncoder error:", e),
         });
 
-        this.videoEncoder.configure({
-            codec: "vp8",
-            width: this.videoWidth,
-            height: this.videoHeight,
-            bitrate: this.videoBitrate,
-            framerate: 30,
-        });
+        this.videoEncoder.configure(this.format.videoConfig);
         console.log(
-            `[ITR] VideoEncoder configured: ${this.videoWidth}x${this.videoHeight}, vp8, ${this.videoBitrate}bps`
+            `[ITR] VideoEncoder configured: ${this.videoWidth}x${this.videoHeight}, ${this.format.videoConfig.codec}, ${this.videoBitrate}bps (${this.format.container})`
         );
 
-        // Setup audio processing if audio track exists
-        // Downmix to stereo via AudioContext since Opus supports max 2 channels
-        if (audioTrack) {
+        // Setup audio processing if the player has audio. The page has already
+        // downmixed it to stereo, since Opus supports max 2 channels and the
+        // AAC encoders are only probed for stereo
+        if (audioStream) {
             this.audioEncoderConfigured = false;
 
             this.audioEncoder = new AudioEncoder({
@@ -110,53 +234,33 @@ export class WebCodecsRingBuffer {
                         this.firstAudioMeta = meta;
                     }
 
-                    // Use same wall-clock timeline as video (microseconds)
-                    const wallTimestamp =
-                        (performance.now() - this.startTime) * 1000;
+                    // Same guard as for video: every audio packet is a key
+                    // packet, and the muxer rejects one that goes back in time
+                    const timestamp = Math.max(
+                        this.audioClock.toTimeline(chunk.timestamp),
+                        this.lastAudioTimestamp + 1
+                    );
+                    this.lastAudioTimestamp = timestamp;
 
+                    this.audioBytes += buf.byteLength;
                     this.audioChunks.push({
                         data: buf,
-                        timestamp: wallTimestamp,
+                        timestamp,
                         duration: chunk.duration,
                         isKey: chunk.type === "key",
+                        lag: this.audioClock.lag,
                     });
                     this._trimAudio();
                 },
                 error: (e) => console.error("[ITR] AudioEncoder error:", e),
             });
 
-            // Downmix multi-channel audio to stereo using AudioContext
-            const audioCtx = new AudioContext({ sampleRate: 48000 });
-            const source = audioCtx.createMediaStreamSource(
-                new MediaStream([audioTrack])
-            );
-            // Force downmix to stereo
-            const gainNode = audioCtx.createGain();
-            gainNode.channelCount = 2;
-            gainNode.channelCountMode = "explicit";
-            gainNode.channelInterpretation = "speakers";
-            source.connect(gainNode);
-            const dest = audioCtx.createMediaStreamDestination();
-            gainNode.connect(dest);
-            this.audioContext = audioCtx;
-
-            const stereoTrack = dest.stream.getAudioTracks()[0];
-            console.log(
-                `[ITR] Audio downmixed to stereo (original channels: ${audioTrack.getSettings().channelCount || "unknown"})`
-            );
-
-            const audioProcessor = new MediaStreamTrackProcessor({
-                track: stereoTrack,
-            });
-            this.audioReader = audioProcessor.readable.getReader();
+            this.audioReader = audioStream.getReader();
             this._processAudioFrames();
         }
 
         // Start video processing
-        const videoProcessor = new MediaStreamTrackProcessor({
-            track: videoTrack,
-        });
-        this.videoReader = videoProcessor.readable.getReader();
+        this.videoReader = videoStream.getReader();
         this._processVideoFrames();
 
         return true;
@@ -176,10 +280,42 @@ export class WebCodecsRingBuffer {
                     continue;
                 }
 
+                // A frame is read as soon as it is presented
+                this.videoClock.observe(frame.timestamp, this._now());
+
+                const { displayWidth, displayHeight } = frame;
+                if (
+                    displayWidth !== this.sourceWidth ||
+                    displayHeight !== this.sourceHeight
+                ) {
+                    this._handleResolutionChange(displayWidth, displayHeight);
+                }
+
+                if (this.videoEncoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                    frame.close();
+                    this.framesDropped++;
+                    continue;
+                }
+
                 // Force keyframe every ~2 seconds (assuming ~30fps)
-                const keyFrame = frameCount % 60 === 0;
-                this.videoEncoder.encode(frame, { keyFrame });
-                frame.close();
+                const keyFrame = frameCount % 60 === 0 || this.forceKeyFrame;
+                this.forceKeyFrame = false;
+                if (
+                    displayWidth !== this.videoWidth ||
+                    displayHeight !== this.videoHeight
+                ) {
+                    this.scaler ??= new FrameScaler(
+                        this.videoWidth,
+                        this.videoHeight
+                    );
+                    const scaled = this.scaler.scale(frame);
+                    frame.close();
+                    this.videoEncoder.encode(scaled, { keyFrame });
+                    scaled.close();
+                } else {
+                    this.videoEncoder.encode(frame, { keyFrame });
+                    frame.close();
+                }
                 frameCount++;
             } catch (e) {
                 if (this.running) {
@@ -190,6 +326,21 @@ export class WebCodecsRingBuffer {
         }
     }
 
+    // The stream switched quality or the adaptive bitrate picked another
+    // rendition. The encoder keeps its configured size, so every chunk in the
+    // buffer shares one decoder config and muxes into a single replay; frames
+    // of the new size are scaled (and letterboxed if needed) to fit it
+    _handleResolutionChange(width, height) {
+        console.log(
+            `[ITR] Source resolution changed from ${this.sourceWidth}x${this.sourceHeight} to ${width}x${height}, encoding at ${this.videoWidth}x${this.videoHeight}`
+        );
+        this.sourceWidth = width;
+        this.sourceHeight = height;
+        this.resolutionChanges++;
+        // Start the new rendition on a keyframe
+        this.forceKeyFrame = true;
+    }
+
     async _processAudioFrames() {
         console.log("[ITR] Processing audio frames...");
 
@@ -210,17 +361,24 @@ export class WebCodecsRingBuffer {
                     this.numberOfChannels = audioData.numberOfChannels;
 
                     this.audioEncoder.configure({
-                        codec: "opus",
+                        ...this.format.audioConfig,
                         sampleRate: this.sampleRate,
                         numberOfChannels: this.numberOfChannels,
-                        bitrate: 128_000,
                     });
                     this.audioEncoderConfigured = true;
                     console.log(
-                        `[ITR] AudioEncoder configured from frame: opus, ${this.sampleRate}Hz, ${this.numberOfChannels}ch`
+                        `[ITR] AudioEncoder configured from frame: ${this.format.audioConfig.codec}, ${this.sampleRate}Hz, ${this.numberOfChannels}ch`
                     );
                 }
 
+                // The first sample was presented one buffer's duration before
+                // the data could be read, plus the audio graph's own latency
+                const latency = audioData.duration + this.audioLatency;
+                this.audioClock.observe(
+                    audioData.timestamp,
+                    this._now() - latency
+                );
+
                 this.audioEncoder.encode(audioData);
                 audioData.close();
             } catch (e) {
@@ -248,8 +406,29 @@ export class WebCodecsRingBuffer {
                 cutIndex = i;
             }
         }
+
+        // Enforce the byte budget by dropping further whole GOPs, always
+        // keeping the newest one
+        let bytes = this.videoBytes + this.audioBytes;
+        for (let i = 0; i < cutIndex; i++) {
+            bytes -= this.videoChunks[i].data.byteLength;
+        }
+        let pending = 0;
+        for (
+            let i = cutIndex + 1;
+            i < this.videoChunks.length && bytes > this.maxBytes;
+            i++
+        ) {
+            pending += this.videoChunks[i - 1].data.byteLength;
+            if (this.videoChunks[i].isKey) {
+                cutIndex = i;
+                bytes -= pending;
+                pending = 0;
+            }
+        }
+
         if (cutIndex > 0) {
-            this.videoChunks.splice(0, cutIndex);
+            this._removeVideo(cutIndex);
         }
     }
 
@@ -257,7 +436,12 @@ export class WebCodecsRingBuffer {
         if (this.audioChunks.length === 0) return;
 
         const newest = this.audioChunks[this.audioChunks.length - 1].timestamp;
-        const cutoff = newest - this.maxSeconds * 1_000_000;
+        let cutoff = newest - this.maxSeconds * 1_000_000;
+        // Audio never needs to reach further back than the oldest video, which
+        // may have been trimmed harder by the byte budget
+        if (this.videoChunks.length > 0) {
+            cutoff = Math.max(cutoff, this.videoChunks[0].timestamp);
+        }
 
         // For audio, we can cut more aggressively (no keyframe dependency)
         let cutIndex = 0;
@@ -267,119 +451,396 @@ export class WebCodecsRingBuffer {
             }
         }
         if (cutIndex > 0) {
-            this.audioChunks.splice(0, cutIndex);
+            this._removeAudio(cutIndex);
         }
     }
 
-    hasData() {
-        return this.videoChunks.length > 0;
+    _removeVideo(count) {
+        const removed = this.videoChunks.splice(0, count);
+        for (const chunk of removed) {
+            this.videoBytes -= chunk.data.byteLength;
+        }
+        this._holdForMarkers(removed, "videoChunks");
+        if (this.segmentStore) {
+            // Removals always start on a keyframe, so the spill stays
+            // decodable on its own
+            this.spillVideo.push(...removed);
+            this._flushSpill();
+        }
     }
 
-    async getReplayBlob() {
-        if (this.videoChunks.length === 0) {
-            console.warn("[ITR] No video data available for replay");
-            return null;
+    _removeAudio(count) {
+        const removed = this.audioChunks.splice(0, count);
+        for (const chunk of removed) {
+            this.audioBytes -= chunk.data.byteLength;
+        }
+        this._holdForMarkers(removed, "audioChunks");
+        if (this.segmentStore) {
+            this.spillAudio.push(...removed);
         }
+    }
 
-        // Find first keyframe
-        let startIdx = -1;
-        for (let i = 0; i < this.videoChunks.length; i++) {
-            if (this.videoChunks[i].isKey) {
-                startIdx = i;
-                break;
+    // Copy trimmed chunks that fall within a marker's window into the
+    // marker. Video is kept in whole GOPs so the clip starts on a keyframe
+    _holdForMarkers(removed, key) {
+        this._expireMarkers();
+        if (this.markers.length === 0 || removed.length === 0) return;
+
+        const groups =
+            key === "videoChunks"
+                ? this._splitGops(removed)
+                : removed.map((c) => [c]);
+
+        for (const marker of this.markers) {
+            const { start, end } = this._markerWindow(marker);
+            for (const group of groups) {
+                const first = group[0].timestamp;
+                const last = group[group.length - 1].timestamp;
+                if (last >= start && first <= end) {
+                    marker[key].push(...group);
+                }
             }
         }
-        if (startIdx === -1) {
-            console.warn("[ITR] No keyframe found in buffer");
-            return null;
+    }
+
+    _splitGops(chunks) {
+        const gops = [];
+        for (const chunk of chunks) {
+            if (chunk.isKey || gops.length === 0) {
+                gops.push([]);
+            }
+            gops[gops.length - 1].push(chunk);
+        }
+        return gops;
+    }
+
+    _markerWindow(marker) {
+        const padding = this.markerPadding * 1_000_000;
+        return {
+            start: marker.timestamp - padding,
+            end: marker.timestamp + padding,
+        };
+    }
+
+    _expireMarkers() {
+        const oldest = Date.now() - this.markerHoldSeconds * 1000;
+        const expired = this.markers.filter((m) => m.createdAt < oldest);
+        if (expired.length > 0) {
+            this.markers = this.markers.filter((m) => m.createdAt >= oldest);
+            console.log(`[ITR] ${expired.length} marker(s) expired`);
         }
+    }
 
-        const videoSlice = this.videoChunks.slice(startIdx);
-        const baseTimestamp = videoSlice[0].timestamp;
-        const endTimestamp = videoSlice[videoSlice.length - 1].timestamp;
+    // Mark the current moment on the buffer timeline
+    addMarker() {
+        const marker = {
+            id: this.nextMarkerId++,
+            timestamp: this._now(),
+            createdAt: Date.now(),
+            videoChunks: [],
+            audioChunks: [],
+        };
+        this.markers.push(marker);
+        console.log(`[ITR] Marker ${marker.id} added`);
+        return this._describeMarker(marker);
+    }
 
-        // Filter audio chunks to match video time range
-        const audioSlice = this.audioChunks.filter(
-            (c) => c.timestamp >= baseTimestamp && c.timestamp <= endTimestamp
+    dismissMarker(id) {
+        this.markers = this.markers.filter((m) => m.id !== id);
+    }
+
+    getMarkers() {
+        this._expireMarkers();
+        return this.markers.map((m) => this._describeMarker(m));
+    }
+
+    _describeMarker(marker) {
+        return {
+            id: marker.id,
+            timestamp: marker.timestamp,
+            createdAt: marker.createdAt,
+        };
+    }
+
+    // Snapshot of the marker's window, stitched from the chunks the marker
+    // holds and whatever is still in the ring
+    markerSnapshot(id) {
+        const marker = this.markers.find((m) => m.id === id);
+        if (!marker) return null;
+
+        const { start, end } = this._markerWindow(marker);
+        const video = [...marker.videoChunks, ...this.videoChunks].filter(
+            (c) => c.timestamp <= end
         );
 
-        console.log(
-            `[ITR] Muxing replay: ${videoSlice.length} video chunks, ${audioSlice.length} audio chunks`
+        // Begin at the keyframe at or before the window start
+        let startIdx = video.findIndex((c) => c.isKey);
+        for (let i = 0; i < video.length; i++) {
+            if (video[i].timestamp > start) break;
+            if (video[i].isKey) startIdx = i;
+        }
+        if (startIdx === -1) return null;
+
+        const audio = [...marker.audioChunks, ...this.audioChunks].filter(
+            (c) => c.timestamp <= end
         );
+        return this._buildSnapshot(video.slice(startIdx), audio);
+    }
 
-        try {
-            const videoSource = new EncodedVideoPacketSource("vp8");
-            const audioSource =
-                audioSlice.length > 0
-                    ? new EncodedAudioPacketSource("opus")
-                    : null;
-
-            const target = new BufferTarget();
-            const output = new Output({
-                format: new WebMOutputFormat(),
-                target,
-            });
+    // Write the spilled GOPs out once they make up a full segment, then drop
+    // segments that have aged out of the disk buffer
+    _flushSpill() {
+        const first = this.spillVideo[0];
+        const last = this.spillVideo[this.spillVideo.length - 1];
+        if (
+            !first ||
+            last.timestamp - first.timestamp < SEGMENT_SECONDS * 1_000_000
+        ) {
+            return;
+        }
 
-            output.addVideoTrack(videoSource, { frameRate: 30 });
-            if (audioSource) {
-                output.addAudioTrack(audioSource);
-            }
+        const video = this.spillVideo;
+        const audio = this.spillAudio;
+        this.spillVideo = [];
+        this.spillAudio = [];
+
+        const store = this.segmentStore;
+        const cutoff = last.timestamp - this.diskSeconds * 1_000_000;
+        this.diskQueue = this.diskQueue
+            .then(() => store.put(video, audio))
+            .then(() => store.deleteBefore(cutoff))
+            .catch((e) => console.error("[ITR] Disk buffer write failed:", e));
+    }
 
-            await output.start();
+    // Live buffer usage for the status badge and the settings popup
+    getStats() {
+        const first = this.videoChunks[0];
+        const last = this.videoChunks[this.videoChunks.length - 1];
+        return {
+            bytes: this.videoBytes + this.audioBytes,
+            videoBytes: this.videoBytes,
+            audioBytes: this.audioBytes,
+            seconds: first ? (last.timestamp - first.timestamp) / 1_000_000 : 0,
+            videoChunks: this.videoChunks.length,
+            audioChunks: this.audioChunks.length,
+            maxSeconds: this.maxSeconds,
+            maxBytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+            disk: this.segmentStore ? this._getDiskStats() : null,
+            paused: this.paused,
+            // Current audio/video offset, positive when audio runs ahead
+            syncOffsetMs: Math.round(
+                (this.audioClock.lag - this.videoClock.lag) / 1000
+            ),
+            pipeline: this._getPipelineStats(),
+        };
+    }
 
-            // Add video chunks
-            for (let i = 0; i < videoSlice.length; i++) {
-                const c = videoSlice[i];
-                const packet = new EncodedPacket(
-                    c.data,
-                    c.isKey ? "key" : "delta",
-                    (c.timestamp - baseTimestamp) / 1_000_000, // convert to seconds
-                    c.duration / 1_000_000 // convert to seconds
-                );
-                const meta = i === 0 ? this.firstVideoMeta : undefined;
-                await videoSource.add(packet, meta);
-            }
+    // Encoder health for the diagnostics overlay and the popup
+    _getPipelineStats() {
+        const now = performance.now();
+        const elapsed = now - this.rateSample.time;
+        if (elapsed >= 1000) {
+            const perSecond = 1000 / elapsed;
+            this.rates = {
+                encoded:
+                    (this.framesEncoded - this.rateSample.encoded) * perSecond,
+                dropped:
+                    (this.framesDropped - this.rateSample.dropped) * perSecond,
+            };
+            this.rateSample = {
+                time: now,
+                encoded: this.framesEncoded,
+                dropped: this.framesDropped,
+            };
+        }
 
-            // Add audio chunks
-            if (audioSource) {
-                for (let i = 0; i < audioSlice.length; i++) {
-                    const c = audioSlice[i];
-                    const packet = new EncodedPacket(
-                        c.data,
-                        c.isKey ? "key" : "delta",
-                        (c.timestamp - baseTimestamp) / 1_000_000,
-                        c.duration / 1_000_000
-                    );
-                    const meta = i === 0 ? this.firstAudioMeta : undefined;
-                    await audioSource.add(packet, meta);
-                }
+        return {
+            videoQueue: this.videoEncoder?.encodeQueueSize ?? 0,
+            audioQueue: this.audioEncoder?.encodeQueueSize ?? 0,
+            encodedPerSecond: this.rates.encoded,
+            droppedPerSecond: this.rates.dropped,
+            framesDropped: this.framesDropped,
+            keyframeInterval: this._getKeyframeInterval(),
+            width: this.videoWidth,
+            height: this.videoHeight,
+            sampleRate: this.sampleRate,
+            numberOfChannels: this.numberOfChannels,
+        };
+    }
+
+    // Average seconds between the keyframes held in memory
+    _getKeyframeInterval() {
+        const keyframes = this.videoChunks.filter((c) => c.isKey);
+        if (keyframes.length < 2) return 0;
+        const first = keyframes[0].timestamp;
+        const last = keyframes[keyframes.length - 1].timestamp;
+        return (last - first) / (keyframes.length - 1) / 1_000_000;
+    }
+
+    _getDiskStats() {
+        const { bytes, segments, start } = this.segmentStore.getStats();
+        const oldest = start ?? this.spillVideo[0]?.timestamp;
+        const newest = this.videoChunks[this.videoChunks.length - 1];
+        return {
+            bytes,
+            segments,
+            maxSeconds: this.diskSeconds,
+            // Everything replayable when the disk segments are stitched in
+            seconds:
+                oldest !== undefined && newest
+                    ? (newest.timestamp - oldest) / 1_000_000
+                    : 0,
+        };
+    }
+
+    hasData() {
+        return this.videoChunks.length > 0;
+    }
+
+    // Copy of the buffered chunks starting at the first keyframe. The chunk
+    // objects are never mutated, so a shallow copy stays valid while the
+    // buffer keeps rolling. With `includeDisk` the spilled segments are read
+    // back and stitched in front of the in-memory chunks. `seconds` limits the
+    // snapshot to the most recent footage, starting at the keyframe at or
+    // before that point
+    async snapshot({ includeDisk = false, seconds = null } = {}) {
+        // Copied before the first await: encoding and trimming carry on
+        // while the disk is read, moving GOPs from memory to spill to disk
+        const fromDisk = includeDisk && this.segmentStore;
+        let videoChunks = fromDisk
+            ? [...this.spillVideo, ...this.videoChunks]
+            : [...this.videoChunks];
+        let audioChunks = fromDisk
+            ? [...this.spillAudio, ...this.audioChunks]
+            : [...this.audioChunks];
+
+        if (fromDisk) {
+            await this.diskQueue;
+            const segments = await this.segmentStore.readAll();
+
+            // Segments written since the copy repeat what it already holds
+            videoChunks = [
+                ...olderThan(
+                    segments.flatMap((s) => s.videoChunks),
+                    videoChunks[0]
+                ),
+                ...videoChunks,
+            ];
+            audioChunks = [
+                ...olderThan(
+                    segments.flatMap((s) => s.audioChunks),
+                    audioChunks[0]
+                ),
+                ...audioChunks,
+            ];
+        }
+
+        if (seconds) {
+            videoChunks = this._lastSeconds(videoChunks, seconds);
+        }
+
+        return this._buildSnapshot(videoChunks, audioChunks);
+    }
+
+    // Chunks from the last keyframe at or before `seconds` from the end. When
+    // the buffer is shorter than that it is returned whole
+    _lastSeconds(videoChunks, seconds) {
+        const last = videoChunks[videoChunks.length - 1];
+        if (!last) return videoChunks;
+
+        const cutoff = last.timestamp - seconds * 1_000_000;
+        for (let i = videoChunks.length - 1; i >= 0; i--) {
+            const chunk = videoChunks[i];
+            if (chunk.isKey && chunk.timestamp <= cutoff) {
+                return videoChunks.slice(i);
             }
+        }
+        return videoChunks;
+    }
 
-            await output.finalize();
+    _buildSnapshot(videoChunks, audioChunks) {
+        if (videoChunks.length === 0) {
+            console.warn("[ITR] No video data available for replay");
+            return null;
+        }
 
-            const blob = new Blob([target.buffer], { type: "video/webm" });
-            console.log(
-                `[ITR] Replay blob created: ${(blob.size / 1024 / 1024).toFixed(2)} MB`
-            );
-            return blob;
-        } catch (e) {
-            console.error("[ITR] Error creating replay blob:", e);
+        const startIdx = videoChunks.findIndex((c) => c.isKey);
+        if (startIdx === -1) {
+            console.warn("[ITR] No keyframe found in buffer");
             return null;
         }
+
+        videoChunks = videoChunks.slice(startIdx);
+        const baseTimestamp = videoChunks[0].timestamp;
+        const endTimestamp = videoChunks[videoChunks.length - 1].timestamp;
+
+        return {
+            videoChunks,
+            audioChunks: audioChunks.filter(
+                (c) => c.timestamp >= baseTimestamp
+            ),
+            baseTimestamp,
+            gaps: this.gaps.filter(
+                (g) =>
+                    g.timestamp > baseTimestamp && g.timestamp <= endTimestamp
+            ),
+            format: this.format,
+            videoMeta: this.firstVideoMeta,
+            audioMeta: this.firstAudioMeta,
+        };
+    }
+
+    async getReplayBlob(range, options) {
+        const snapshot = await this.snapshot(options);
+        if (!snapshot) return null;
+        return muxReplay(snapshot, range);
+    }
+
+    // Whether older footage than the in-memory window is available on disk
+    hasDiskData() {
+        return (
+            !!this.segmentStore &&
+            (this.segmentStore.segments.length > 0 ||
+                this.spillVideo.length > 0)
+        );
     }
 
     pause() {
+        if (this.paused) return;
         this.paused = true;
+        this.pausedAt = performance.now();
         console.log("[ITR] Ring buffer paused");
     }
 
+    // Close up the paused stretch and record it as a gap on the timeline
     resume() {
+        if (!this.paused) return;
+        const skipped = performance.now() - this.pausedAt;
+        this.timelineOffset += skipped * 1000;
         this.paused = false;
-        console.log("[ITR] Ring buffer resumed");
+        this.pausedAt = null;
+        this.forceKeyFrame = true;
+
+        this._expireGaps();
+        this.gaps.push({ timestamp: this._now(), duration: skipped / 1000 });
+        console.log(
+            `[ITR] Ring buffer resumed, ${Math.round(skipped / 1000)}s skipped`
+        );
+    }
+
+    // Gaps older than anything the buffer or a marker can still hold
+    _expireGaps() {
+        const keepSeconds =
+            Math.max(this.maxSeconds, this.diskSeconds) +
+            this.markerHoldSeconds;
+        const cutoff = this._now() - keepSeconds * 1_000_000;
+        this.gaps = this.gaps.filter((g) => g.timestamp >= cutoff);
     }
 
+    // Resolves once the disk buffer has been cleared
     stop() {
         this.running = false;
+        let cleared = Promise.resolve();
 
         try {
             if (this.videoEncoder?.state !== "closed") {
@@ -409,14 +870,26 @@ export class WebCodecsRingBuffer {
             /* ignore */
         }
 
-        try {
-            this.audioContext?.close();
-        } catch (e) {
-            /* ignore */
+        if (this.segmentStore) {
+            const store = this.segmentStore;
+            this.segmentStore = null;
+            cleared = this.diskQueue
+                .then(() => store.destroy())
+                .catch((e) =>
+                    console.error("[ITR] Failed to clear disk buffer:", e)
+                );
         }
 
+        this.scaler = null;
+        this.markers = [];
+        this.gaps = [];
+        this.spillVideo = [];
+        this.spillAudio = [];
         this.videoChunks = [];
         this.audioChunks = [];
+        this.videoBytes = 0;
+        this.audioBytes = 0;
         console.log("[ITR] Ring buffer stopped");
+        return cleared;
     }
 }
@@ -0,0 +1,117 @@
+import { promisify, openDatabase } from "./idb.js";
+
+const DB_NAME = "itr-replay-buffer";
+const DB_VERSION = 1;
+const STORE_NAME = "segments";
+
+// Segments older than this belong to a tab that closed or crashed without
+// cleaning up. It is well above the longest disk buffer offered in the popup
+const ORPHAN_AGE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * IndexedDB store for GOP segments spilled out of the in-memory ring buffer.
+ * It runs in the capture worker, which is started from a blob: URL of the
+ * page and so has the page's origin: every Twitch tab writes to the same
+ * database. Each buffer tags its segments with its own session id and keeps
+ * an in-memory index of what it wrote.
+ */
+export class SegmentStore {
+    constructor() {
+        this.session = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        this.db = null;
+        this.segments = []; // { id, start, end, bytes }, oldest first
+        this.bytes = 0;
+    }
+
+    async open() {
+        this.db = await openDatabase(DB_NAME, DB_VERSION, STORE_NAME);
+        await this.deleteOrphans();
+    }
+
+    async deleteOrphans() {
+        const tx = this.db.transaction(STORE_NAME, "readwrite");
+        const range = IDBKeyRange.upperBound(Date.now() - ORPHAN_AGE_MS);
+        const keys = await promisify(
+            tx.objectStore(STORE_NAME).index("createdAt").getAllKeys(range)
+        );
+        for (const key of keys) {
+            tx.objectStore(STORE_NAME).delete(key);
+        }
+    }
+
+    // videoChunks must start on a keyframe
+    async put(videoChunks, audioChunks) {
+        const bytes =
+            videoChunks.reduce((sum, c) => sum + c.data.byteLength, 0) +
+            audioChunks.reduce((sum, c) => sum + c.data.byteLength, 0);
+        const segment = {
+            session: this.session,
+            createdAt: Date.now(),
+            start: videoChunks[0].timestamp,
+            end: videoChunks[videoChunks.length - 1].timestamp,
+            videoChunks,
+            audioChunks,
+        };
+
+        const tx = this.db.transaction(STORE_NAME, "readwrite");
+        const id = await promisify(tx.objectStore(STORE_NAME).add(segment));
+        this.segments.push({
+            id,
+            start: segment.start,
+            end: segment.end,
+            bytes,
+        });
+        this.bytes += bytes;
+    }
+
+    // Drop segments that end before `timestamp`
+    async deleteBefore(timestamp) {
+        const expired = this.segments.filter((s) => s.end < timestamp);
+        if (expired.length === 0) return;
+
+        this.segments = this.segments.filter((s) => s.end >= timestamp);
+        const tx = this.db.transaction(STORE_NAME, "readwrite");
+        for (const segment of expired) {
+            this.bytes -= segment.bytes;
+            tx.objectStore(STORE_NAME).delete(segment.id);
+        }
+    }
+
+    // Full segments, oldest first
+    async readAll() {
+        const tx = this.db.transaction(STORE_NAME, "readonly");
+        const store = tx.objectStore(STORE_NAME);
+        const segments = await Promise.all(
+            this.segments.map((s) => promisify(store.get(s.id)))
+        );
+        return segments.filter(Boolean);
+    }
+
+    getStats() {
+        const first = this.segments[0];
+        const last = this.segments[this.segments.length - 1];
+        return {
+            bytes: this.bytes,
+            segments: this.segments.length,
+            start: first ? first.start : null,
+            end: last ? last.end : null,
+        };
+    }
+
+    async destroy() {
+        if (!this.db) return;
+        const ids = this.segments.map((s) => s.id);
+        this.segments = [];
+        this.bytes = 0;
+
+        try {
+            const tx = this.db.transaction(STORE_NAME, "readwrite");
+            for (const id of ids) {
+                tx.objectStore(STORE_NAME).delete(id);
+            }
+        } finally {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
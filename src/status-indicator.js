@@ -0,0 +1,118 @@
+import { formatBytes, formatTime } from "./utils.js";
+
+function injectStyles() {
+    if (document.getElementById("itr-styles")) {
+        // Styles already injected
+        return;
+    }
+
+    const style = document.createElement("style");
+    style.id = "itr-styles";
+    style.innerHTML = `
+        @keyframes flash {
+            0% { opacity: 1; }
+            50% { opacity: 0.2; }
+            100% { opacity: 1; }
+        }
+
+        .itr-status {
+            display: flex;
+            align-items: center;
+            position: absolute;
+            top: 10px; /* Adjust as needed */
+            left: 10px; /* Adjust as needed */
+            z-index: 1000; /* Ensure it's on top */
+            background-color: rgba(0, 0, 0, 0.5); /* Optional: Background for better visibility */
+            padding: 5px 10px;
+            border-radius: 5px;
+            color: white;
+            font-size: 12px;
+            box-shadow: 0 0 5px rgba(0, 0, 0, 0.5);
+            pointer-events: none;
+        }
+
+        .itr-red-dot {
+            width: 10px;
+            height: 10px;
+            background-color: red;
+            border-radius: 50%;
+            margin-right: 8px;
+            animation: flash 1s infinite;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+function createStatusIndicator() {
+    const statusContainer = document.createElement("div");
+    statusContainer.className = "itr-status";
+
+    const redDot = document.createElement("div");
+    redDot.className = "itr-red-dot";
+
+    const statusText = document.createElement("span");
+    statusText.className = "itr-status-text";
+    statusText.textContent = "Twitch Instant Recorder Running";
+
+    statusContainer.appendChild(redDot);
+    statusContainer.appendChild(statusText);
+
+    return statusContainer;
+}
+
+// Every player gets its own badge, so the indicator is handed around as an
+// element instead of being looked up by id
+export function addStatusIndicator(mount) {
+    if (!mount) {
+        console.warn(
+            "[ITR] No mount point found. Cannot add status indicator."
+        );
+        return null;
+    }
+
+    // Inject necessary styles
+    injectStyles();
+
+    // Create and append the new status indicator
+    const statusIndicator = createStatusIndicator();
+    // Ensure the parent is positioned, without overriding the player
+    // container's own position when the top bar is missing
+    if (getComputedStyle(mount).position === "static") {
+        mount.style.position = "relative";
+    }
+    mount.appendChild(statusIndicator);
+
+    console.log("[ITR] Status indicator added.");
+    return statusIndicator;
+}
+
+export function updateStatusIndicator(indicator, stats) {
+    const statusText = indicator?.querySelector(".itr-status-text");
+    if (!statusText) return;
+
+    let text = `Replay buffer ${Math.round(stats.seconds)}s · ${formatBytes(
+        stats.bytes
+    )}`;
+    if (stats.disk) {
+        text += ` · ${formatTime(stats.disk.seconds)} on disk`;
+    }
+    if (stats.paused) {
+        text += " · paused for ad";
+    }
+    statusText.textContent = text;
+}
+
+// Replace the badge text until the next stats update, e.g. to confirm a marker
+export function flashStatusIndicator(indicator, text) {
+    const statusText = indicator?.querySelector(".itr-status-text");
+    if (statusText) {
+        statusText.textContent = text;
+    }
+}
+
+export function removeStatusIndicator(indicator) {
+    if (indicator) {
+        indicator.remove();
+        console.log("[ITR] Status indicator removed.");
+    }
+}
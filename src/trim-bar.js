@@ -0,0 +1,345 @@
+import { snapToKeyframe } from "./replay-muxer.js";
+import { formatTime, createButton } from "./utils.js";
+
+const HANDLE_STYLE = {
+    position: "absolute",
+    top: "-3px",
+    width: "8px",
+    height: "16px",
+    marginLeft: "-4px",
+    backgroundColor: "#9147ff",
+    border: "1px solid white",
+    borderRadius: "2px",
+    cursor: "ew-resize",
+};
+
+// In/out point editor shown under the replay video. In points snap to the
+// keyframe at or before them so the preview matches the exported clip exactly
+export class TrimBar {
+    constructor(video, duration, keyframeTimes, onChange) {
+        this.video = video;
+        this.duration = duration;
+        this.keyframeTimes = keyframeTimes;
+        this.onChange = onChange;
+        this.inPoint = 0;
+        this.outPoint = duration;
+        this.draggingHandle = null;
+        this.isPreviewing = false;
+        this.elements = {};
+        this.markerTicks = [];
+        this.gapTicks = [];
+        this.loop = null;
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleTimeUpdate = this.handleTimeUpdate.bind(this);
+
+        this.createElements();
+        this.render();
+    }
+
+    createElements() {
+        this.elements.container = document.createElement("div");
+        Object.assign(this.elements.container.style, {
+            padding: "6px 26px 8px 10px",
+            backgroundColor: "#18181b",
+            color: "white",
+            fontSize: "11px",
+            fontFamily: "inherit",
+        });
+
+        // Timeline track with the selected region and two handles
+        this.elements.track = document.createElement("div");
+        Object.assign(this.elements.track.style, {
+            position: "relative",
+            height: "10px",
+            margin: "4px 4px 8px 4px",
+            backgroundColor: "rgba(255, 255, 255, 0.2)",
+            borderRadius: "2px",
+            cursor: "pointer",
+        });
+
+        this.elements.selection = document.createElement("div");
+        Object.assign(this.elements.selection.style, {
+            position: "absolute",
+            top: "0",
+            bottom: "0",
+            backgroundColor: "rgba(145, 71, 255, 0.6)",
+            pointerEvents: "none",
+        });
+
+        this.elements.playhead = document.createElement("div");
+        Object.assign(this.elements.playhead.style, {
+            position: "absolute",
+            top: "-2px",
+            bottom: "-2px",
+            width: "2px",
+            backgroundColor: "white",
+            pointerEvents: "none",
+        });
+
+        // A-B loop region from the playback controls, drawn under the track
+        this.elements.loopRegion = document.createElement("div");
+        Object.assign(this.elements.loopRegion.style, {
+            position: "absolute",
+            bottom: "-5px",
+            height: "3px",
+            backgroundColor: "#00c8af",
+            pointerEvents: "none",
+        });
+
+        this.elements.inHandle = document.createElement("div");
+        Object.assign(this.elements.inHandle.style, HANDLE_STYLE);
+        this.elements.inHandle.title = "In point";
+
+        this.elements.outHandle = document.createElement("div");
+        Object.assign(this.elements.outHandle.style, HANDLE_STYLE);
+        this.elements.outHandle.title = "Out point";
+
+        this.elements.track.appendChild(this.elements.selection);
+        this.elements.track.appendChild(this.elements.loopRegion);
+        this.elements.track.appendChild(this.elements.playhead);
+        this.elements.track.appendChild(this.elements.inHandle);
+        this.elements.track.appendChild(this.elements.outHandle);
+
+        // Controls row
+        const controls = document.createElement("div");
+        Object.assign(controls.style, {
+            display: "flex",
+            alignItems: "center",
+            gap: "6px",
+        });
+
+        this.elements.setInButton = createButton("[ In", "Set in point (I)");
+        this.elements.setOutButton = createButton("Out ]", "Set out point (O)");
+        this.elements.previewButton = createButton(
+            "Preview",
+            "Play the selection (P)"
+        );
+        this.elements.resetButton = createButton(
+            "Reset",
+            "Select the whole replay"
+        );
+
+        this.elements.rangeLabel = document.createElement("span");
+        Object.assign(this.elements.rangeLabel.style, {
+            marginLeft: "auto",
+            fontVariantNumeric: "tabular-nums",
+            opacity: "0.8",
+        });
+
+        controls.appendChild(this.elements.setInButton);
+        controls.appendChild(this.elements.setOutButton);
+        controls.appendChild(this.elements.previewButton);
+        controls.appendChild(this.elements.resetButton);
+        controls.appendChild(this.elements.rangeLabel);
+
+        this.elements.container.appendChild(this.elements.track);
+        this.elements.container.appendChild(controls);
+
+        this.elements.setInButton.addEventListener("click", () =>
+            this.setIn(this.video.currentTime)
+        );
+        this.elements.setOutButton.addEventListener("click", () =>
+            this.setOut(this.video.currentTime)
+        );
+        this.elements.previewButton.addEventListener("click", () =>
+            this.preview()
+        );
+        this.elements.resetButton.addEventListener("click", () => this.reset());
+
+        this.elements.track.addEventListener("mousedown", (e) => {
+            if (e.target === this.elements.inHandle) {
+                this.startDrag("in");
+            } else if (e.target === this.elements.outHandle) {
+                this.startDrag("out");
+            } else {
+                this.video.currentTime = this.timeFromEvent(e);
+            }
+            e.preventDefault();
+        });
+        this.video.addEventListener("timeupdate", this.handleTimeUpdate);
+    }
+
+    // Draw moment markers as ticks on the track; `markers` holds
+    // { id, time } with time in seconds into the replay
+    setMarkers(markers) {
+        for (const tick of this.markerTicks) {
+            tick.remove();
+        }
+        this.markerTicks = markers
+            .filter((m) => m.time >= 0 && m.time <= this.duration)
+            .map((marker) => {
+                const tick = document.createElement("div");
+                Object.assign(tick.style, {
+                    position: "absolute",
+                    top: "-4px",
+                    bottom: "-4px",
+                    width: "3px",
+                    marginLeft: "-1px",
+                    left: `${(marker.time / this.duration) * 100}%`,
+                    backgroundColor: "#ffd37a",
+                    cursor: "pointer",
+                });
+                tick.title = `Marker ${marker.id}`;
+                tick.addEventListener("mousedown", (e) => {
+                    e.stopPropagation();
+                    this.video.currentTime = marker.time;
+                });
+                this.elements.track.insertBefore(tick, this.elements.inHandle);
+                return tick;
+            });
+    }
+
+    // Draw skipped ad breaks as thin grey ticks; `gaps` holds
+    // { time, duration } in seconds
+    setGaps(gaps) {
+        for (const tick of this.gapTicks) {
+            tick.remove();
+        }
+        this.gapTicks = gaps
+            .filter((g) => g.time >= 0 && g.time <= this.duration)
+            .map((gap) => {
+                const tick = document.createElement("div");
+                Object.assign(tick.style, {
+                    position: "absolute",
+                    top: "-4px",
+                    bottom: "-4px",
+                    width: "2px",
+                    marginLeft: "-1px",
+                    left: `${(gap.time / this.duration) * 100}%`,
+                    backgroundColor: "#adadb8",
+                });
+                tick.title = `Ad break skipped (${formatTime(gap.duration)})`;
+                this.elements.track.insertBefore(tick, this.elements.playhead);
+                return tick;
+            });
+    }
+
+    // `loop` is { start, end } in seconds, or null to hide the region
+    setLoop(loop) {
+        this.loop = loop;
+        this.render();
+    }
+
+    get element() {
+        return this.elements.container;
+    }
+
+    timeFromEvent(e) {
+        const rect = this.elements.track.getBoundingClientRect();
+        const fraction = Math.min(
+            1,
+            Math.max(0, (e.clientX - rect.left) / rect.width)
+        );
+        return fraction * this.duration;
+    }
+
+    // Follow the drag on the document the bar is in, which is not the page's
+    // when the replay plays in a Picture-in-Picture window
+    startDrag(handle) {
+        this.draggingHandle = handle;
+        const doc = this.elements.track.ownerDocument;
+        doc.addEventListener("mousemove", this.handleMouseMove);
+        doc.addEventListener("mouseup", this.handleMouseUp);
+    }
+
+    handleMouseMove(e) {
+        if (!this.draggingHandle) return;
+        e.preventDefault();
+
+        const time = this.timeFromEvent(e);
+        if (this.draggingHandle === "in") {
+            this.setIn(time);
+        } else {
+            this.setOut(time);
+        }
+    }
+
+    handleMouseUp() {
+        this.draggingHandle = null;
+        const doc = this.elements.track.ownerDocument;
+        doc.removeEventListener("mousemove", this.handleMouseMove);
+        doc.removeEventListener("mouseup", this.handleMouseUp);
+    }
+
+    handleTimeUpdate() {
+        // Stop at the out point while previewing the selection
+        if (this.isPreviewing && this.video.currentTime >= this.outPoint) {
+            this.video.pause();
+            this.isPreviewing = false;
+        }
+        this.render();
+    }
+
+    setIn(seconds) {
+        const snapped = snapToKeyframe(this.keyframeTimes, seconds);
+        if (snapped >= this.outPoint) return;
+        this.inPoint = snapped;
+        this.changed();
+    }
+
+    setOut(seconds) {
+        const clamped = Math.min(this.duration, seconds);
+        if (clamped <= this.inPoint) return;
+        this.outPoint = clamped;
+        this.changed();
+    }
+
+    reset() {
+        this.inPoint = 0;
+        this.outPoint = this.duration;
+        this.changed();
+    }
+
+    preview() {
+        this.video.currentTime = this.inPoint;
+        this.isPreviewing = true;
+        this.video.play();
+    }
+
+    changed() {
+        this.render();
+        this.onChange?.(this.getRange());
+    }
+
+    // The selected range, or null while the whole replay is selected
+    getRange() {
+        if (this.inPoint <= 0 && this.outPoint >= this.duration) {
+            return null;
+        }
+        return { start: this.inPoint, end: this.outPoint };
+    }
+
+    render() {
+        const toPercent = (seconds) =>
+            `${(seconds / this.duration) * 100 || 0}%`;
+
+        this.elements.inHandle.style.left = toPercent(this.inPoint);
+        this.elements.outHandle.style.left = toPercent(this.outPoint);
+        this.elements.selection.style.left = toPercent(this.inPoint);
+        this.elements.selection.style.width = toPercent(
+            this.outPoint - this.inPoint
+        );
+        this.elements.loopRegion.style.display = this.loop ? "" : "none";
+        if (this.loop) {
+            this.elements.loopRegion.style.left = toPercent(this.loop.start);
+            this.elements.loopRegion.style.width = toPercent(
+                this.loop.end - this.loop.start
+            );
+        }
+        this.elements.playhead.style.left = toPercent(
+            Math.min(this.video.currentTime, this.duration)
+        );
+        this.elements.rangeLabel.textContent = `${formatTime(
+            this.inPoint
+        )} – ${formatTime(this.outPoint)} (${formatTime(
+            this.outPoint - this.inPoint
+        )})`;
+    }
+
+    destroy() {
+        this.handleMouseUp();
+        this.video.removeEventListener("timeupdate", this.handleTimeUpdate);
+    }
+}
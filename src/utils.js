@@ -0,0 +1,55 @@
+// Shortcuts must never fire while the user is typing in chat or a form
+export function isTypingTarget(target) {
+    return (
+        target instanceof HTMLElement &&
+        (target.isContentEditable ||
+            ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+    );
+}
+
+// Formats seconds as m:ss.t for timeline labels
+export function formatTime(seconds) {
+    const safe = Math.max(0, seconds || 0);
+    const minutes = Math.floor(safe / 60);
+    const rest = (safe % 60).toFixed(1).padStart(4, "0");
+    return `${minutes}:${rest}`;
+}
+
+export function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+// Object URL for chrome.downloads. The download holds its own reference once
+// it has started, so the URL is revoked after a minute
+const DOWNLOAD_URL_LIFETIME = 60000;
+
+export function createDownloadUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+    return url;
+}
+
+// Small text buttons of the replay window's bars
+export const BUTTON_STYLE = {
+    padding: "2px 6px",
+    fontSize: "11px",
+    color: "white",
+    backgroundColor: "rgba(255, 255, 255, 0.15)",
+    borderRadius: "3px",
+    cursor: "pointer",
+    userSelect: "none",
+};
+
+export function createButton(text, title, style) {
+    const button = document.createElement("div");
+    Object.assign(button.style, BUTTON_STYLE, style);
+    button.textContent = text;
+    button.title = title;
+    return button;
+}
@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { JSDOM } from "jsdom";
+import { twitchAdapter } from "../src/adapters/twitch.js";
+import { getSiteAdapter } from "../src/adapters/index.js";
+
+// Fixture pages are trimmed copies of saved Twitch pages; each one carries
+// the URL it was saved from in its og:url meta tag
+function loadFixture(name) {
+    const html = readFileSync(
+        new URL(`./fixtures/twitch/${name}.html`, import.meta.url),
+        "utf8"
+    );
+    const { document } = new JSDOM(html).window;
+    const url = new URL(
+        document.querySelector('meta[property="og:url"]').content
+    );
+    return { document, url };
+}
+
+function getPlayer(document) {
+    const [video] = twitchAdapter.findPlayers(document);
+    return { video, container: twitchAdapter.getPlayerContainer(video) };
+}
+
+test("classifies the fixture pages", () => {
+    const expected = {
+        channel: { type: "channel", channel: "examplestreamer" },
+        vod: { type: "vod", channel: null },
+        clip: { type: "clip", channel: "examplestreamer" },
+        embed: { type: "channel", channel: "examplestreamer" },
+        directory: { type: "directory", channel: null },
+    };
+    for (const [name, page] of Object.entries(expected)) {
+        const { url } = loadFixture(name);
+        assert.deepEqual(twitchAdapter.classifyPage(url), page, name);
+    }
+});
+
+test("classifies other Twitch URLs", () => {
+    const cases = {
+        "https://www.twitch.tv/embed/examplestreamer/chat?parent=example.com":
+            { type: "other", channel: "examplestreamer" },
+        "https://player.twitch.tv/?video=2012345678&parent=example.com": {
+            type: "vod",
+            channel: null,
+        },
+        "https://clips.twitch.tv/BraveTinyOtterKappa": {
+            type: "clip",
+            channel: null,
+        },
+        "https://www.twitch.tv/moderator/examplestreamer": {
+            type: "channel",
+            channel: "examplestreamer",
+        },
+        "https://www.twitch.tv/examplestreamer/squad": {
+            type: "channel",
+            channel: "examplestreamer",
+        },
+        "https://www.twitch.tv/examplestreamer/videos": {
+            type: "other",
+            channel: "examplestreamer",
+        },
+        "https://www.twitch.tv/directory/category/just-chatting": {
+            type: "directory",
+            channel: null,
+        },
+        "https://www.twitch.tv/settings/profile": {
+            type: "other",
+            channel: null,
+        },
+    };
+    for (const [href, page] of Object.entries(cases)) {
+        assert.deepEqual(twitchAdapter.classifyPage(new URL(href)), page, href);
+    }
+});
+
+test("only handles Twitch hosts", () => {
+    assert.equal(
+        getSiteAdapter(new URL("https://www.twitch.tv/examplestreamer")),
+        twitchAdapter
+    );
+    assert.equal(
+        getSiteAdapter(new URL("https://player.twitch.tv/?channel=x")),
+        twitchAdapter
+    );
+    assert.equal(getSiteAdapter(new URL("https://nottwitch.tv/x")), null);
+});
+
+test("finds the player and its parts on a channel page", () => {
+    const { document, url } = loadFixture("channel");
+    const { video, container } = getPlayer(document);
+
+    assert.equal(twitchAdapter.findPlayers(document).length, 1);
+    assert.equal(container.dataset.aTarget, "video-player");
+    assert.ok(container.contains(video));
+    assert.equal(
+        twitchAdapter.getFocusTarget(container).dataset.aTarget,
+        "player-overlay-click-handler"
+    );
+    assert.ok(twitchAdapter.getBadgeMount(container).matches("div.top-bar"));
+    assert.equal(
+        twitchAdapter.getStreamTitle(document),
+        "Ranked grind until we hit Diamond"
+    );
+    assert.equal(twitchAdapter.getChannelSlug(url), "examplestreamer");
+    assert.equal(twitchAdapter.isAdPlaying(container), false);
+});
+
+test("detects an ad from the player's ad label", () => {
+    const { document } = loadFixture("channel-ad");
+    const { container } = getPlayer(document);
+    assert.equal(twitchAdapter.isAdPlaying(container), true);
+});
+
+test("falls back to the container without a top bar", () => {
+    const { document } = loadFixture("vod");
+    const { container } = getPlayer(document);
+    assert.equal(twitchAdapter.getBadgeMount(container), container);
+});
+
+test("finds the player on the clip, embed and directory pages", () => {
+    for (const name of ["clip", "embed", "directory"]) {
+        const { document } = loadFixture(name);
+        const { video, container } = getPlayer(document);
+        assert.ok(video, name);
+        assert.ok(container.contains(video), name);
+    }
+});
+
+test("reads an empty title when the page has none", () => {
+    const { document } = loadFixture("embed");
+    assert.equal(twitchAdapter.getStreamTitle(document), "");
+});
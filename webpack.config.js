@@ -7,6 +7,9 @@ module.exports = {
     content: './src/content.js',
     background: './src/background.js',
     popup: './src/popup/popup.js',
+    library: './src/library/library.js',
+    'capture-worker': './src/capture-worker.js',
+    offscreen: './src/offscreen/offscreen.js',
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -32,6 +35,8 @@ module.exports = {
       patterns: [
         { from: 'manifest.json', to: 'manifest.json' },
         { from: 'src/popup/popup.html', to: 'popup.html' },
+        { from: 'src/library/library.html', to: 'library.html' },
+        { from: 'src/offscreen/offscreen.html', to: 'offscreen.html' },
         { from: 'icons', to: 'icons' },
       ]
     })